@@ -14,12 +14,108 @@ document.addEventListener('DOMContentLoaded', () => {
     const spinBtn = document.getElementById('spinBtn');
     const resetBtn = document.getElementById('resetBtn');
     const overlayResult = document.getElementById('overlayResult');
+    const wheelAnnouncer = document.getElementById('wheel-announcer');
+    const wheelDescription = document.getElementById('wheel-description');
     const tagInput = document.getElementById('tag-input');
     const tagsDisplay = document.getElementById('tags-display');
     const tagInputContainer = document.getElementById('tag-input-container');
+    const importNamesBtn = document.getElementById('importNamesBtn');
+    const namesFileInput = document.getElementById('namesFileInput');
+
+    // Tag editor elements
+    const tagEditor = document.getElementById('tag-editor');
+    const tagEditName = document.getElementById('tagEditName');
+    const tagEditEmoji = document.getElementById('tagEditEmoji');
+    const tagEditWeight = document.getElementById('tagEditWeight');
+    const tagEditUseColor = document.getElementById('tagEditUseColor');
+    const tagEditColor = document.getElementById('tagEditColor');
+    const tagEditDisabled = document.getElementById('tagEditDisabled');
+    const saveTagEditBtn = document.getElementById('saveTagEditBtn');
+    const cancelTagEditBtn = document.getElementById('cancelTagEditBtn');
+
+    // Exclusion elements
+    const exclusionControls = document.getElementById('exclusion-controls');
+    const everyoneBackBtn = document.getElementById('everyoneBackBtn');
+    const exclusionsExpireToggle = document.getElementById('exclusionsExpireToggle');
+
+    // Undo toast elements
+    const undoToast = document.getElementById('undo-toast');
+    const undoToastMessage = document.getElementById('undoToastMessage');
+    const undoToastBtn = document.getElementById('undoToastBtn');
     const muteBtn = document.getElementById('muteBtn');
     const soundSelect = document.getElementById('soundSelect');
+
+    // Sound pack elements
+    const soundToggle = document.getElementById('sound-toggle');
+    const soundHeader = document.getElementById('sound-header');
+    const soundControls = document.getElementById('sound-controls');
+    const soundPackSelect = document.getElementById('soundPackSelect');
+    const soundPackNameInput = document.getElementById('soundPackNameInput');
+    const packTickSelect = document.getElementById('packTickSelect');
+    const packSpinStartSelect = document.getElementById('packSpinStartSelect');
+    const packWinSelect = document.getElementById('packWinSelect');
+    const saveSoundPackBtn = document.getElementById('saveSoundPackBtn');
+    const deleteSoundPackBtn = document.getElementById('deleteSoundPackBtn');
+    const synthNameInput = document.getElementById('synthNameInput');
+    const synthWaveSelect = document.getElementById('synthWaveSelect');
+    const synthStartInput = document.getElementById('synthStartInput');
+    const synthEndInput = document.getElementById('synthEndInput');
+    const synthLengthInput = document.getElementById('synthLengthInput');
+    const synthVolumeInput = document.getElementById('synthVolumeInput');
+    const previewSynthBtn = document.getElementById('previewSynthBtn');
+    const saveSynthBtn = document.getElementById('saveSynthBtn');
+    const uploadSoundBtn = document.getElementById('uploadSoundBtn');
+    const soundFileInput = document.getElementById('soundFileInput');
+    const customSoundList = document.getElementById('custom-sound-list');
+    const modeSelect = document.getElementById('modeSelect');
+    const drawCountInput = document.getElementById('drawCountInput');
+    const viewSelect = document.getElementById('viewSelect');
+
+    // Provably fair elements
+    const fairModeToggle = document.getElementById('fairModeToggle');
+    const physicsToggle = document.getElementById('physicsToggle');
+    const physicsLabel = document.getElementById('physics-label');
+    const physicsNote = document.getElementById('physicsNote');
+
+    // Spin settings elements
+    const spinSettingsToggle = document.getElementById('spin-settings-toggle');
+    const spinSettingsHeader = document.getElementById('spin-settings-header');
+    const spinSettingsControls = document.getElementById('spin-settings-controls');
+    const spinDurationInput = document.getElementById('spinDurationInput');
+    const spinDurationValue = document.getElementById('spinDurationValue');
+    const spinRotationsInput = document.getElementById('spinRotationsInput');
+    const spinRotationsValue = document.getElementById('spinRotationsValue');
+    const spinEasingSelect = document.getElementById('spinEasingSelect');
+    const randomDurationToggle = document.getElementById('randomDurationToggle');
+    const celebrationEffectSelect = document.getElementById('celebrationEffectSelect');
+    const fanfareToggle = document.getElementById('fanfareToggle');
+    const resultTemplateInput = document.getElementById('resultTemplateInput');
+    const previewCelebrationBtn = document.getElementById('previewCelebrationBtn');
+    const celebrationCanvas = document.getElementById('celebrationCanvas');
+    const fairPanel = document.getElementById('fair-panel');
+    const fairCommitment = document.getElementById('fairCommitment');
+    const fairRevealedSeed = document.getElementById('fairRevealedSeed');
+    const openVerifyBtn = document.getElementById('openVerifyBtn');
+    const verifyView = document.getElementById('verify-view');
+    const verifyCommitment = document.getElementById('verifyCommitment');
+    const verifySeed = document.getElementById('verifySeed');
+    const verifyEntries = document.getElementById('verifyEntries');
+    const runVerifyBtn = document.getElementById('runVerifyBtn');
+    const verifyResult = document.getElementById('verifyResult');
     const themeBtn = document.getElementById('themeBtn');
+    const themeEditorBtn = document.getElementById('themeEditorBtn');
+    const themeEditor = document.getElementById('theme-editor');
+    const themeEditorSelect = document.getElementById('themeEditorSelect');
+    const themeNameInput = document.getElementById('themeNameInput');
+    const themeBaseSelect = document.getElementById('themeBaseSelect');
+    const themeColorFields = document.getElementById('theme-color-fields');
+    const saveThemeBtn = document.getElementById('saveThemeBtn');
+    const deleteThemeBtn = document.getElementById('deleteThemeBtn');
+    const exportThemeBtn = document.getElementById('exportThemeBtn');
+    const importThemeBtn = document.getElementById('importThemeBtn');
+    const themeFileInput = document.getElementById('themeFileInput');
+    const closeThemeEditorBtn = document.getElementById('closeThemeEditorBtn');
+    const shareBtn = document.getElementById('shareBtn');
     
     // Group management elements
     const groupSelect = document.getElementById('groupSelect');
@@ -30,21 +126,118 @@ document.addEventListener('DOMContentLoaded', () => {
     const groupToggle = document.getElementById('group-toggle');
     const groupHeader = document.getElementById('group-header');
     const groupControls = document.getElementById('group-controls');
+    const groupManagement = document.getElementById('group-management');
+    const exportGroupsBtn = document.getElementById('exportGroupsBtn');
+    const importGroupsBtn = document.getElementById('importGroupsBtn');
+    const groupFileInput = document.getElementById('groupFileInput');
+    const groupExportFormat = document.getElementById('groupExportFormat');
+    const groupImportMode = document.getElementById('groupImportMode');
+    const updateGroupBtn = document.getElementById('updateGroupBtn');
+    const renameGroupBtn = document.getElementById('renameGroupBtn');
+    const duplicateGroupBtn = document.getElementById('duplicateGroupBtn');
+    const groupDetails = document.getElementById('group-details');
+    const groupMeta = document.getElementById('group-meta');
+    const groupPreview = document.getElementById('group-preview');
+    const groupMembers = document.getElementById('group-members');
+    const groupMemberInput = document.getElementById('groupMemberInput');
+    const groupMergeList = document.getElementById('group-merge-list');
+    const mergeGroupsBtn = document.getElementById('mergeGroupsBtn');
+    const colorByGroupToggle = document.getElementById('colorByGroupToggle');
+
+    // Spin history elements
+    const historyToggle = document.getElementById('history-toggle');
+    const historyHeader = document.getElementById('history-header');
+    const historyControls = document.getElementById('history-controls');
+    const historyList = document.getElementById('history-list');
+    const historyScopeSelect = document.getElementById('historyScopeSelect');
+    const exportHistoryCsvBtn = document.getElementById('exportHistoryCsvBtn');
+    const exportHistoryJsonBtn = document.getElementById('exportHistoryJsonBtn');
+    const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+
+    // Team generator elements
+    const teamToggle = document.getElementById('team-toggle');
+    const teamHeader = document.getElementById('team-header');
+    const teamControls = document.getElementById('team-controls');
+    const teamSplitMode = document.getElementById('teamSplitMode');
+    const teamSplitValue = document.getElementById('teamSplitValue');
+    const keepTogetherInput = document.getElementById('keepTogetherInput');
+    const keepApartInput = document.getElementById('keepApartInput');
+    const makeTeamsBtn = document.getElementById('makeTeamsBtn');
+    const copyTeamsBtn = document.getElementById('copyTeamsBtn');
+    const exportTeamsBtn = document.getElementById('exportTeamsBtn');
+    const teamResults = document.getElementById('team-results');
+
+    // Fairness rotation elements
+    const rotationToggle = document.getElementById('rotation-toggle');
+    const rotationHeader = document.getElementById('rotation-header');
+    const rotationControls = document.getElementById('rotation-controls');
+    const rotationModeSelect = document.getElementById('rotationModeSelect');
+    const rotationCooldownInput = document.getElementById('rotationCooldownInput');
+    const rotationScope = document.getElementById('rotation-scope');
+    const rotationList = document.getElementById('rotation-list');
+    const resetRotationBtn = document.getElementById('resetRotationBtn');
 
     // Variables to keep track of current state
     let currentItems = [];
     let currentOffset = 0; // how far segments have been shifted (in pixels)
+    let currentAngle = 0; // how far the circular wheel has been rotated (in radians)
+    let wheelView = 'drum'; // 'drum' (side-on vertical stripes) or 'circle' (pie wheel)
+    let fairMode = false; // Seeded spins with a published commitment
+    let physicsSpin = false; // Drag/flick the wheel and let friction pick the winner
+    let dragState = null; // Pointer drag on the canvas in physics mode
+    let isSpinSettingsCollapsed = true; // Start collapsed by default
+    let spinDuration = 4000; // Length of a spin animation (ms)
+    let spinRotations = 3; // Full turns before the wheel settles
+    let spinEasing = 'cubic'; // Key of SPIN_EASINGS
+    let randomDuration = false; // Vary each spin's duration around spinDuration
+    let celebrationEffect = 'confetti'; // 'confetti', 'fireworks' or 'none'
+    let fanfareEnabled = true; // Play a short fanfare for the winner
+    let resultTemplate = ''; // Winner message with {name}; empty uses the built-in messages
+    let celebrationFrame = null; // Animation frame of the running confetti or fireworks
+    let pendingFairSeed = null; // {seed, commitment} for the next fair spin
+    let lastFairProof = null; // Proof of the fair spin currently animating
+    let fairCommitPromise = null; // Commitment being generated for the next fair spin
     let isSpinning = false;
     let selectedIndex = null;
     let originalItems = [];
     let lastTickIndex = -1; // Track the last segment that triggered a tick sound
+    let lastTickTime = 0; // When the last tick sound played, for rate limiting
+    let showAllTags = false; // Whether a long tag list is expanded
+    let editingTag = null; // Tag open in the tag editor
+    let draggedTagIndex = null; // Index of the tag being dragged to a new position
+    let exclusionsExpire = false; // Whether names sitting out come back the next day
+    let undoStack = []; // {description, state} steps that Ctrl+Z goes back through
+    let redoStack = []; // Undone steps that Ctrl+Y brings back
+    let isRecordingUndo = false; // Whether the current task already recorded an undo step
+    let undoToastTimer = null;
+    let undoToastAction = null; // Run by the toast's button
     let isMuted = false;
     let currentSoundType = 'classic';
     let currentSpinSoundType = 'classic'; // The actual sound type being used for current spin
     let cycleIndex = 0; // Track current position in sound cycle
+    let customSounds = { synths: {}, samples: {} }; // User-made synth recipes and uploaded samples
+    let activeSoundPack = ''; // Name of the sound pack in use ('' for the default sounds)
+    let spinStartSound = ''; // Sound id played when a spin starts ('' for none)
+    let winSound = 'fanfare'; // Sound id played for the winner
+    let isSoundCollapsed = true; // Start collapsed by default
     let namesTags = []; // Array to store the tag names
     let currentTheme = 'dark'; // Default theme
+    let spinMode = 'remove'; // What happens to the winner: 'remove', 'keep' or 'elimination'
+    let autoSpinTimer = null; // Pending automatic spin in elimination mode or a multi-winner draw
+    let drawCount = 1; // Number of winners to pick per spin action
+    let drawSequence = null; // {size, picks, proofs} while a multi-winner draw is running
     let isGroupManagementCollapsed = true; // Start collapsed by default
+    let isHistoryCollapsed = true; // Start collapsed by default
+    let isTeamsCollapsed = true; // Start collapsed by default
+    let isRotationCollapsed = true; // Start collapsed by default
+    let rotationMode = 'off'; // 'off', 'cooldown' (lower odds for recent winners) or 'skip' (one turn each)
+    let rotationCooldown = 3; // How many recent picks get lower odds in cooldown mode
+    let currentTeams = []; // Teams from the last split, as arrays of names
+    let teamRevealFrame = null; // Animation frame of the team reveal on the canvas
+    let isShowingTeams = false; // Whether the canvas shows teams instead of the wheel
+    let activeGroupName = ''; // Name of the saved group the current names came from
+    let colorByGroup = false; // Colour wheel segments by their source group instead of position
+    const sessionId = new Date().toISOString(); // Identifies spins made during this page visit
 
     // Audio context for generating tick sounds
     let audioContext = null;
@@ -56,125 +249,106 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!audioContext) {
             try {
                 audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                preloadSoundSamples();
             } catch (e) {
                 console.warn('Web Audio API not supported:', e);
             }
         }
     }
 
+    // Built-in tick sounds. Each recipe drives one oscillator: pitch lists
+    // [time (s), frequency (Hz), ramp] steps, and the volume rises over
+    // attack then fades ('exponential' or 'linear') until length.
+    const BUILT_IN_SOUNDS = {
+        classic: { label: 'Classic Tick', pitch: [[0, 800], [0.02, 400, 'exponential']], volume: 0.3, attack: 0.005, fade: 'exponential', length: 0.05 },
+        beep: { label: 'Electronic Beep', pitch: [[0, 1000]], volume: 0.4, attack: 0.01, fade: 'linear', length: 0.08 },
+        click: { label: 'Mechanical Click', pitch: [[0, 600], [0.01, 200, 'exponential']], volume: 0.5, attack: 0.002, fade: 'exponential', length: 0.03 },
+        pop: { label: 'Pop Sound', pitch: [[0, 300], [0.04, 80, 'exponential']], volume: 0.6, attack: 0.005, fade: 'exponential', length: 0.06 },
+        blip: { label: 'Retro Blip', pitch: [[0, 400], [0.02, 800, 'linear'], [0.04, 400, 'linear']], volume: 0.35, attack: 0.01, fade: 'linear', length: 0.05 },
+        thud: { label: 'Deep Thud', pitch: [[0, 120], [0.08, 60, 'exponential']], volume: 0.7, attack: 0.01, fade: 'exponential', length: 0.12 },
+        bass: { label: 'Bass Drop', pitch: [[0, 80], [0.15, 40, 'exponential']], volume: 0.8, attack: 0.02, fade: 'exponential', length: 0.2 },
+        drum: { label: 'Low Drum', pitch: [[0, 100], [0.05, 50, 'exponential']], volume: 0.6, attack: 0.005, fade: 'exponential', length: 0.08 }
+    };
+
+    // Decoded uploaded samples, by sound id ("sample:<name>")
+    const decodedSamples = new Map();
+
     /**
-     * Generate different types of tick sounds
+     * Plays a synthesized sound from a recipe
+     * @param {Object} recipe - See BUILT_IN_SOUNDS
      */
-    function playTickSound() {
-        if (!audioContext || isMuted) return;
-        
-        // Use the sound type selected for this spin session
-        const soundType = currentSpinSoundType;
-        
+    function playSynthSound(recipe) {
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+        oscillator.type = recipe.wave || 'sine';
+
+        oscillator.connect(gainNode);
+        gainNode.connect(audioContext.destination);
+
+        const currentTime = audioContext.currentTime;
+        recipe.pitch.forEach(([time, frequency, ramp]) => {
+            if (ramp === 'exponential') {
+                oscillator.frequency.exponentialRampToValueAtTime(frequency, currentTime + time);
+            } else if (ramp === 'linear') {
+                oscillator.frequency.linearRampToValueAtTime(frequency, currentTime + time);
+            } else {
+                oscillator.frequency.setValueAtTime(frequency, currentTime + time);
+            }
+        });
+
+        gainNode.gain.setValueAtTime(0, currentTime);
+        gainNode.gain.linearRampToValueAtTime(recipe.volume, currentTime + recipe.attack);
+        if (recipe.fade === 'linear') {
+            gainNode.gain.linearRampToValueAtTime(0, currentTime + recipe.length);
+        } else {
+            gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + recipe.length);
+        }
+        oscillator.start(currentTime);
+        oscillator.stop(currentTime + recipe.length);
+    }
+
+    /**
+     * Plays any registered sound: a built-in or custom synth, an uploaded
+     * sample, or the winner fanfare
+     * @param {string} soundId - e.g. "classic", "synth:Chirp", "sample:Gong" or "fanfare"
+     */
+    function playSound(soundId) {
+        if (!audioContext || isMuted || !soundId) return;
+
         try {
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-            
-            const currentTime = audioContext.currentTime;
-            
-            switch (soundType) {
-                case 'classic':
-                    // Original Price is Right style
-                    oscillator.frequency.setValueAtTime(800, currentTime);
-                    oscillator.frequency.exponentialRampToValueAtTime(400, currentTime + 0.02);
-                    gainNode.gain.setValueAtTime(0, currentTime);
-                    gainNode.gain.linearRampToValueAtTime(0.3, currentTime + 0.005);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + 0.05);
-                    oscillator.start(currentTime);
-                    oscillator.stop(currentTime + 0.05);
-                    break;
-                    
-                case 'beep':
-                    // Electronic beep
-                    oscillator.frequency.setValueAtTime(1000, currentTime);
-                    gainNode.gain.setValueAtTime(0, currentTime);
-                    gainNode.gain.linearRampToValueAtTime(0.4, currentTime + 0.01);
-                    gainNode.gain.linearRampToValueAtTime(0, currentTime + 0.08);
-                    oscillator.start(currentTime);
-                    oscillator.stop(currentTime + 0.08);
-                    break;
-                    
-                case 'click':
-                    // Mechanical click
-                    oscillator.frequency.setValueAtTime(600, currentTime);
-                    oscillator.frequency.exponentialRampToValueAtTime(200, currentTime + 0.01);
-                    gainNode.gain.setValueAtTime(0, currentTime);
-                    gainNode.gain.linearRampToValueAtTime(0.5, currentTime + 0.002);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + 0.03);
-                    oscillator.start(currentTime);
-                    oscillator.stop(currentTime + 0.03);
-                    break;
-                    
-                case 'pop':
-                    // Pop sound
-                    oscillator.frequency.setValueAtTime(300, currentTime);
-                    oscillator.frequency.exponentialRampToValueAtTime(80, currentTime + 0.04);
-                    gainNode.gain.setValueAtTime(0, currentTime);
-                    gainNode.gain.linearRampToValueAtTime(0.6, currentTime + 0.005);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + 0.06);
-                    oscillator.start(currentTime);
-                    oscillator.stop(currentTime + 0.06);
-                    break;
-                    
-                case 'blip':
-                    // Retro blip
-                    oscillator.frequency.setValueAtTime(400, currentTime);
-                    oscillator.frequency.linearRampToValueAtTime(800, currentTime + 0.02);
-                    oscillator.frequency.linearRampToValueAtTime(400, currentTime + 0.04);
-                    gainNode.gain.setValueAtTime(0, currentTime);
-                    gainNode.gain.linearRampToValueAtTime(0.35, currentTime + 0.01);
-                    gainNode.gain.linearRampToValueAtTime(0, currentTime + 0.05);
-                    oscillator.start(currentTime);
-                    oscillator.stop(currentTime + 0.05);
-                    break;
-                    
-                case 'thud':
-                    // Deep thud
-                    oscillator.frequency.setValueAtTime(120, currentTime);
-                    oscillator.frequency.exponentialRampToValueAtTime(60, currentTime + 0.08);
-                    gainNode.gain.setValueAtTime(0, currentTime);
-                    gainNode.gain.linearRampToValueAtTime(0.7, currentTime + 0.01);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + 0.12);
-                    oscillator.start(currentTime);
-                    oscillator.stop(currentTime + 0.12);
-                    break;
-                    
-                case 'bass':
-                    // Bass drop
-                    oscillator.frequency.setValueAtTime(80, currentTime);
-                    oscillator.frequency.exponentialRampToValueAtTime(40, currentTime + 0.15);
-                    gainNode.gain.setValueAtTime(0, currentTime);
-                    gainNode.gain.linearRampToValueAtTime(0.8, currentTime + 0.02);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + 0.2);
-                    oscillator.start(currentTime);
-                    oscillator.stop(currentTime + 0.2);
-                    break;
-                    
-                case 'drum':
-                    // Low drum
-                    oscillator.frequency.setValueAtTime(100, currentTime);
-                    oscillator.frequency.exponentialRampToValueAtTime(50, currentTime + 0.05);
-                    gainNode.gain.setValueAtTime(0, currentTime);
-                    gainNode.gain.linearRampToValueAtTime(0.6, currentTime + 0.005);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + 0.08);
-                    oscillator.start(currentTime);
-                    oscillator.stop(currentTime + 0.08);
-                    break;
+            if (soundId === 'fanfare') {
+                playFanfare();
+            } else if (soundId.startsWith('sample:')) {
+                const buffer = decodedSamples.get(soundId);
+                if (!buffer) {
+                    // Still decoding (or failed); try again for the next play
+                    decodeSoundSample(soundId);
+                    return;
+                }
+                const source = audioContext.createBufferSource();
+                source.buffer = buffer;
+                source.connect(audioContext.destination);
+                source.start();
+            } else {
+                const recipe = soundId.startsWith('synth:')
+                    ? customSounds.synths[soundId.slice('synth:'.length)]
+                    : BUILT_IN_SOUNDS[soundId];
+                if (recipe) {
+                    playSynthSound(recipe);
+                }
             }
-            
         } catch (e) {
-            console.warn('Error playing tick sound:', e);
+            console.warn('Error playing sound:', e);
         }
     }
 
+    /**
+     * Play the tick sound selected for this spin session
+     */
+    function playTickSound() {
+        playSound(currentSpinSoundType);
+    }
+
     /**
      * Toggle mute state
      */
@@ -210,10 +384,10 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // For preview, if random is selected, pick a random sound to demonstrate
         if (currentSoundType === 'random') {
-            const sounds = ['classic', 'beep', 'click', 'pop', 'blip', 'thud', 'bass', 'drum'];
+            const sounds = getTickSoundIds();
             currentSpinSoundType = sounds[Math.floor(Math.random() * sounds.length)];
         } else if (currentSoundType === 'cycle') {
-            const sounds = ['classic', 'beep', 'click', 'pop', 'blip', 'thud', 'bass', 'drum'];
+            const sounds = getTickSoundIds();
             currentSpinSoundType = sounds[cycleIndex % sounds.length];
         } else {
             currentSpinSoundType = currentSoundType;
@@ -230,10 +404,10 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function setSpinSoundType() {
         if (currentSoundType === 'random') {
-            const sounds = ['classic', 'beep', 'click', 'pop', 'blip', 'thud', 'bass', 'drum'];
+            const sounds = getTickSoundIds();
             currentSpinSoundType = sounds[Math.floor(Math.random() * sounds.length)];
         } else if (currentSoundType === 'cycle') {
-            const sounds = ['classic', 'beep', 'click', 'pop', 'blip', 'thud', 'bass', 'drum'];
+            const sounds = getTickSoundIds();
             currentSpinSoundType = sounds[cycleIndex % sounds.length];
             cycleIndex++; // Advance to next sound for next time
         } else {
@@ -246,7 +420,8 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function loadSoundPreference() {
         const savedSound = localStorage.getItem('wheelGenerator_soundType');
-        if (savedSound) {
+        // A custom sound may have been deleted since it was chosen
+        if (savedSound && Array.from(soundSelect.options).some(option => option.value === savedSound)) {
             currentSoundType = savedSound;
             soundSelect.value = savedSound;
         }
@@ -266,706 +441,5985 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // ================================
+    // SOUND PACK FUNCTIONS
+    // ================================
+
+    // Largest audio file that can be uploaded; samples live in localStorage
+    const MAX_SOUND_FILE_SIZE = 512 * 1024;
+
+    // Uploaded samples being decoded, or that failed to decode
+    const decodingSamples = new Set();
+
     /**
-     * Theme management functions
+     * Gets a readable name for a sound id
+     * @param {string} soundId
+     * @returns {string}
      */
-    function setTheme(theme) {
-        currentTheme = theme;
-        document.documentElement.setAttribute('data-theme', theme);
-        updateThemeButton();
-        localStorage.setItem('wheelGenerator_theme', theme);
-        
-        // Redraw the wheel with new theme colors if items exist
-        if (currentItems.length > 0) {
-            drawWheelWithOffset(currentItems, currentOffset, selectedIndex);
-        }
-    }
-
-    function updateThemeButton() {
-        const icons = {
-            'dark': '🌙',
-            'light': '☀️',
-            'auto': '🔄'
-        };
-        const titles = {
-            'dark': 'Switch to light mode',
-            'light': 'Switch to auto mode',
-            'auto': 'Switch to dark mode'
-        };
-        themeBtn.textContent = icons[currentTheme];
-        themeBtn.title = titles[currentTheme];
+    function getSoundLabel(soundId) {
+        if (soundId === 'fanfare') return '🎺 Fanfare';
+        if (soundId.startsWith('synth:')) return `🎹 ${soundId.slice('synth:'.length)}`;
+        if (soundId.startsWith('sample:')) return `📁 ${soundId.slice('sample:'.length)}`;
+        return BUILT_IN_SOUNDS[soundId] ? BUILT_IN_SOUNDS[soundId].label : soundId;
     }
 
-    function toggleTheme() {
-        const themes = ['dark', 'light', 'auto'];
-        const currentIndex = themes.indexOf(currentTheme);
-        const nextIndex = (currentIndex + 1) % themes.length;
-        setTheme(themes[nextIndex]);
+    /**
+     * Lists every sound that can be used as a tick: the built-ins, then
+     * custom synths and uploaded samples
+     * @returns {string[]} - Sound ids
+     */
+    function getTickSoundIds() {
+        return [
+            ...Object.keys(BUILT_IN_SOUNDS),
+            ...Object.keys(customSounds.synths).map(name => `synth:${name}`),
+            ...Object.keys(customSounds.samples).map(name => `sample:${name}`)
+        ];
     }
 
-    function loadThemePreference() {
-        const savedTheme = localStorage.getItem('wheelGenerator_theme');
-        if (savedTheme && ['dark', 'light', 'auto'].includes(savedTheme)) {
-            setTheme(savedTheme);
-        } else {
-            // Default to dark theme
-            setTheme('dark');
+    /**
+     * Replaces the options of a select, keeping its value when it still exists
+     * @param {HTMLSelectElement} select
+     * @param {string[][]} options - [value, label] pairs
+     */
+    function fillSoundSelect(select, options) {
+        const previousValue = select.value;
+        select.replaceChildren();
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        if (options.some(([value]) => value === previousValue)) {
+            select.value = previousValue;
         }
     }
 
-    // ================================
-    // GROUP MANAGEMENT TOGGLE FUNCTIONS
-    // ================================
-
     /**
-     * Toggles the group management section visibility
+     * Rebuilds every sound dropdown and the list of custom sounds from the
+     * sound registry
      */
-    function toggleGroupManagement() {
-        isGroupManagementCollapsed = !isGroupManagementCollapsed;
-        
-        if (isGroupManagementCollapsed) {
-            groupControls.classList.add('collapsed');
-            groupHeader.classList.add('collapsed');
-            groupToggle.classList.remove('expanded');
-            groupToggle.textContent = '▼';
-            groupToggle.title = 'Expand group management';
-        } else {
-            groupControls.classList.remove('collapsed');
-            groupHeader.classList.remove('collapsed');
-            groupToggle.classList.add('expanded');
-            groupToggle.textContent = '▲';
-            groupToggle.title = 'Collapse group management';
-        }
-        
-        // Save the state to localStorage
-        localStorage.setItem('wheelGenerator_groupManagementCollapsed', isGroupManagementCollapsed.toString());
+    function renderSoundOptions() {
+        const tickOptions = getTickSoundIds().map(id => [id, getSoundLabel(id)]);
+        const noSound = ['', 'No sound'];
+        fillSoundSelect(soundSelect, [...tickOptions, ['cycle', '🔄 Cycle'], ['random', '🎲 Random']]);
+        fillSoundSelect(packTickSelect, [...tickOptions, ['cycle', '🔄 Cycle'], ['random', '🎲 Random']]);
+        fillSoundSelect(packSpinStartSelect, [noSound, ...tickOptions]);
+        fillSoundSelect(packWinSelect, [['fanfare', getSoundLabel('fanfare')], noSound, ...tickOptions]);
+        fillSoundSelect(soundPackSelect, [['', 'Default sounds'], ...Object.keys(getSoundPacks()).sort().map(name => [name, name])]);
+
+        customSoundList.replaceChildren();
+        getTickSoundIds().filter(id => !(id in BUILT_IN_SOUNDS)).forEach(id => {
+            const item = document.createElement('li');
+            item.className = 'custom-sound';
+
+            const label = document.createElement('span');
+            label.textContent = getSoundLabel(id);
+
+            const playButton = document.createElement('button');
+            playButton.className = 'custom-sound-btn';
+            playButton.dataset.sound = id;
+            playButton.textContent = '▶';
+            playButton.title = `Play ${getSoundLabel(id)}`;
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'custom-sound-btn';
+            deleteButton.dataset.sound = id;
+            deleteButton.dataset.action = 'delete';
+            deleteButton.textContent = '🗑️';
+            deleteButton.title = `Delete ${getSoundLabel(id)}`;
+
+            item.append(label, playButton, deleteButton);
+            customSoundList.appendChild(item);
+        });
     }
 
     /**
-     * Loads the group management collapsed state from localStorage
+     * Loads custom synths and uploaded samples from localStorage
      */
-    function loadGroupManagementState() {
-        const savedState = localStorage.getItem('wheelGenerator_groupManagementCollapsed');
-        if (savedState !== null) {
-            isGroupManagementCollapsed = savedState === 'true';
-        }
-        
-        // Apply the saved state
-        if (isGroupManagementCollapsed) {
-            groupControls.classList.add('collapsed');
-            groupHeader.classList.add('collapsed');
-            groupToggle.classList.remove('expanded');
-            groupToggle.textContent = '▼';
-            groupToggle.title = 'Expand group management';
-        } else {
-            groupControls.classList.remove('collapsed');
-            groupHeader.classList.remove('collapsed');
-            groupToggle.classList.add('expanded');
-            groupToggle.textContent = '▲';
-            groupToggle.title = 'Collapse group management';
+    function loadCustomSounds() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.CUSTOM_SOUNDS));
+            if (saved) {
+                customSounds = { synths: saved.synths || {}, samples: saved.samples || {} };
+            }
+        } catch (e) {
+            console.warn('Error loading custom sounds:', e);
         }
+        renderSoundOptions();
     }
 
-    // Storage keys for localStorage
-    const STORAGE_KEYS = {
-        TAGS_LIST: 'wheelGenerator_tagsList',
-        CURRENT_ITEMS: 'wheelGenerator_currentItems',
-        ORIGINAL_ITEMS: 'wheelGenerator_originalItems',
-        SAVED_GROUPS: 'wheelGenerator_savedGroups'
-    };
-
     /**
-     * Saves the current tags list to localStorage
+     * Writes custom synths and samples to localStorage
+     * @returns {boolean} - False when the browser storage is full
      */
-    function saveTagsToStorage() {
-        if (namesTags.length > 0) {
-            localStorage.setItem(STORAGE_KEYS.TAGS_LIST, JSON.stringify(namesTags));
-        } else {
-            localStorage.removeItem(STORAGE_KEYS.TAGS_LIST);
+    function storeCustomSounds() {
+        try {
+            localStorage.setItem(STORAGE_KEYS.CUSTOM_SOUNDS, JSON.stringify(customSounds));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save custom sounds:', e);
+            alert('There is not enough browser storage for this sound. Try a shorter file or delete other sounds.');
+            return false;
         }
     }
 
     /**
-     * Saves the current wheel state to localStorage
+     * Encodes bytes as base64 for storage
+     * @param {Uint8Array} bytes
+     * @returns {string}
      */
-    function saveWheelState() {
-        if (currentItems.length > 0) {
-            localStorage.setItem(STORAGE_KEYS.CURRENT_ITEMS, JSON.stringify(currentItems));
-        }
-        if (originalItems.length > 0) {
-            localStorage.setItem(STORAGE_KEYS.ORIGINAL_ITEMS, JSON.stringify(originalItems));
+    function bytesToBase64(bytes) {
+        let binary = '';
+        // Convert in chunks; spreading a whole file into fromCharCode overflows the stack
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
         }
+        return btoa(binary);
     }
 
     /**
-     * Loads the tags list from localStorage
+     * Decodes an uploaded sample into the cache so it can be played
+     * @param {string} soundId - "sample:<name>"
      */
-    function loadTagsFromStorage() {
-        const savedTags = localStorage.getItem(STORAGE_KEYS.TAGS_LIST);
-        if (savedTags) {
-            try {
-                namesTags = JSON.parse(savedTags);
-                renderTags();
-            } catch (e) {
-                console.warn('Failed to parse saved tags:', e);
-                namesTags = [];
-            }
+    function decodeSoundSample(soundId) {
+        const sample = customSounds.samples[soundId.slice('sample:'.length)];
+        if (!audioContext || !sample || decodedSamples.has(soundId) || decodingSamples.has(soundId)) {
+            return;
         }
+        decodingSamples.add(soundId);
+        const bytes = Uint8Array.from(atob(sample.data), char => char.charCodeAt(0));
+        audioContext.decodeAudioData(bytes.buffer)
+            .then(buffer => {
+                decodedSamples.set(soundId, buffer);
+                decodingSamples.delete(soundId);
+            })
+            // Leave failed samples marked as decoding so they are not retried on every tick
+            .catch(e => console.warn(`Could not decode sound "${soundId}":`, e));
     }
 
     /**
-     * Loads the wheel state from localStorage
+     * Decodes all uploaded samples once audio is available
      */
-    function loadWheelState() {
-        const savedCurrentItems = localStorage.getItem(STORAGE_KEYS.CURRENT_ITEMS);
-        const savedOriginalItems = localStorage.getItem(STORAGE_KEYS.ORIGINAL_ITEMS);
-        
-        if (savedCurrentItems) {
-            try {
-                currentItems = JSON.parse(savedCurrentItems);
-            } catch (e) {
-                console.warn('Failed to parse saved current items:', e);
-                currentItems = [];
-            }
-        }
-        
-        if (savedOriginalItems) {
-            try {
-                originalItems = JSON.parse(savedOriginalItems);
-            } catch (e) {
-                console.warn('Failed to parse saved original items:', e);
-                originalItems = [];
-            }
-        }
-        
-        // If we have current items, redraw the wheel
-        if (currentItems.length > 0) {
-            drawWheelWithOffset(currentItems, currentOffset);
-        }
+    function preloadSoundSamples() {
+        Object.keys(customSounds.samples).forEach(name => decodeSoundSample(`sample:${name}`));
     }
 
     /**
-     * Clears wheel state from localStorage
+     * Builds a synth recipe from the sound designer fields
+     * @returns {Object} - Recipe for playSynthSound
      */
-    function clearWheelState() {
-        localStorage.removeItem(STORAGE_KEYS.CURRENT_ITEMS);
-        localStorage.removeItem(STORAGE_KEYS.ORIGINAL_ITEMS);
+    function readSynthForm() {
+        const limit = (value, min, max, fallback) => Math.min(Math.max(Number(value) || fallback, min), max);
+        const length = limit(synthLengthInput.value, 10, 1000, 60) / 1000;
+        return {
+            wave: synthWaveSelect.value,
+            pitch: [
+                [0, limit(synthStartInput.value, 20, 5000, 600)],
+                [length, limit(synthEndInput.value, 20, 5000, 300), 'exponential']
+            ],
+            volume: limit(synthVolumeInput.value, 0.05, 1, 0.4),
+            attack: Math.min(0.005, length / 2),
+            fade: 'exponential',
+            length
+        };
     }
 
-    // ================================
-    // GROUP MANAGEMENT FUNCTIONS
-    // ================================
-
     /**
-     * Saves a group of names to localStorage
-     * @param {string} groupName - The name of the group
-     * @param {Array} names - Array of names to save
+     * Saves the sound designer fields as a named synth sound
      */
-    function saveGroup(groupName, names) {
-        if (!groupName || names.length === 0) return false;
-        
-        const savedGroups = getSavedGroups();
-        savedGroups[groupName] = {
-            names: [...names],
-            dateCreated: new Date().toISOString(),
-            dateModified: new Date().toISOString()
-        };
-        
-        localStorage.setItem(STORAGE_KEYS.SAVED_GROUPS, JSON.stringify(savedGroups));
-        return true;
+    function saveSynthSound() {
+        const name = synthNameInput.value.trim();
+        if (!name) {
+            alert('Please enter a name for the sound');
+            synthNameInput.focus();
+            return;
+        }
+        if (customSounds.synths[name] && !confirm(`A sound named "${name}" already exists. Replace it?`)) {
+            return;
+        }
+
+        customSounds.synths[name] = readSynthForm();
+        if (storeCustomSounds()) {
+            renderSoundOptions();
+            synthNameInput.value = '';
+            alert(`Sound "${name}" saved!`);
+        }
     }
 
     /**
-     * Loads a group of names from localStorage
-     * @param {string} groupName - The name of the group to load
-     * @returns {Array|null} - Array of names or null if not found
+     * Adds an uploaded audio file as a named sample. The file is decoded
+     * first, so only playable audio is kept.
+     * @param {File} file
      */
-    function loadGroup(groupName) {
-        const savedGroups = getSavedGroups();
-        return savedGroups[groupName] ? savedGroups[groupName].names : null;
+    async function uploadSoundSample(file) {
+        if (file.size > MAX_SOUND_FILE_SIZE) {
+            alert(`"${file.name}" is too large. Sound files can be up to ${MAX_SOUND_FILE_SIZE / 1024} KB.`);
+            return;
+        }
+        initAudioContext();
+        if (!audioContext) {
+            alert('Uploaded sounds need the Web Audio API, which this browser does not support.');
+            return;
+        }
+
+        const name = (prompt('Name for this sound:', file.name.replace(/\.[^.]+$/, '')) || '').trim();
+        if (!name) {
+            return;
+        }
+        if (customSounds.samples[name] && !confirm(`A sound named "${name}" already exists. Replace it?`)) {
+            return;
+        }
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let buffer;
+        try {
+            // decodeAudioData takes over the buffer it is given, so decode a copy
+            buffer = await audioContext.decodeAudioData(bytes.slice().buffer);
+        } catch (e) {
+            alert(`"${file.name}" could not be read as audio.`);
+            return;
+        }
+
+        customSounds.samples[name] = { type: file.type, data: bytesToBase64(bytes) };
+        if (!storeCustomSounds()) {
+            delete customSounds.samples[name];
+            return;
+        }
+        const soundId = `sample:${name}`;
+        decodedSamples.set(soundId, buffer);
+        decodingSamples.delete(soundId);
+        renderSoundOptions();
+        playSound(soundId);
     }
 
     /**
-     * Deletes a group from localStorage
-     * @param {string} groupName - The name of the group to delete
+     * Deletes a custom synth or uploaded sample. Anything that used it falls
+     * back to the default sounds.
+     * @param {string} soundId
      */
-    function deleteGroup(groupName) {
-        const savedGroups = getSavedGroups();
-        delete savedGroups[groupName];
-        localStorage.setItem(STORAGE_KEYS.SAVED_GROUPS, JSON.stringify(savedGroups));
+    function deleteCustomSound(soundId) {
+        if (!confirm(`Delete the sound ${getSoundLabel(soundId)}?`)) {
+            return;
+        }
+        if (soundId.startsWith('synth:')) {
+            delete customSounds.synths[soundId.slice('synth:'.length)];
+        } else {
+            delete customSounds.samples[soundId.slice('sample:'.length)];
+            decodedSamples.delete(soundId);
+        }
+        storeCustomSounds();
+
+        if (currentSoundType === soundId) {
+            currentSoundType = 'classic';
+            localStorage.setItem('wheelGenerator_soundType', currentSoundType);
+            setSpinSoundType();
+        }
+        if (spinStartSound === soundId) spinStartSound = '';
+        if (winSound === soundId) winSound = 'fanfare';
+        renderSoundOptions();
+        soundSelect.value = currentSoundType;
     }
 
     /**
-     * Gets all saved groups from localStorage
-     * @returns {Object} - Object containing all saved groups
+     * Gets all saved sound packs from localStorage
+     * @returns {Object} - Map of pack name to {tick, spinStart, win} sound ids
      */
-    function getSavedGroups() {
+    function getSoundPacks() {
         try {
-            const saved = localStorage.getItem(STORAGE_KEYS.SAVED_GROUPS);
+            const saved = localStorage.getItem(STORAGE_KEYS.SOUND_PACKS);
             return saved ? JSON.parse(saved) : {};
         } catch (e) {
-            console.warn('Error loading saved groups:', e);
+            console.warn('Error loading sound packs:', e);
             return {};
         }
     }
 
     /**
-     * Updates the group select dropdown with saved groups
+     * Writes all sound packs to localStorage
+     * @param {Object} packs
      */
-    function updateGroupSelect() {
-        const groupSelect = document.getElementById('groupSelect');
-        const savedGroups = getSavedGroups();
-        
-        // Clear existing options except the first one
-        groupSelect.innerHTML = '<option value="">Choose a saved group...</option>';
-        
-        // Add saved groups as options
-        Object.keys(savedGroups).sort().forEach(groupName => {
-            const option = document.createElement('option');
-            option.value = groupName;
-            option.textContent = `${groupName} (${savedGroups[groupName].names.length} names)`;
-            groupSelect.appendChild(option);
-        });
-        
-        // Update button states
-        updateGroupButtonStates();
+    function storeSoundPacks(packs) {
+        localStorage.setItem(STORAGE_KEYS.SOUND_PACKS, JSON.stringify(packs));
     }
 
     /**
-     * Updates the state of group management buttons
+     * Switches to a saved sound pack, or back to the default sounds
+     * @param {string} name - Pack name ('' for the default sounds)
      */
-    function updateGroupButtonStates() {
-        const groupSelect = document.getElementById('groupSelect');
-        const loadBtn = document.getElementById('loadGroupBtn');
-        const deleteBtn = document.getElementById('deleteGroupBtn');
-        
-        const hasSelection = groupSelect.value !== '';
-        loadBtn.disabled = !hasSelection;
-        deleteBtn.disabled = !hasSelection;
+    function applySoundPack(name) {
+        const pack = getSoundPacks()[name];
+        activeSoundPack = pack ? name : '';
+        spinStartSound = pack ? pack.spinStart : '';
+        winSound = pack ? pack.win : 'fanfare';
+
+        if (pack && Array.from(soundSelect.options).some(option => option.value === pack.tick)) {
+            soundSelect.value = pack.tick;
+            currentSoundType = pack.tick;
+            localStorage.setItem('wheelGenerator_soundType', currentSoundType);
+            setSpinSoundType();
+        }
+        soundPackSelect.value = activeSoundPack;
+        localStorage.setItem('wheelGenerator_soundPack', activeSoundPack);
+
+        // Show the pack in the editor so it can be tweaked and saved again
+        soundPackNameInput.value = activeSoundPack;
+        packTickSelect.value = currentSoundType;
+        packSpinStartSelect.value = spinStartSound;
+        packWinSelect.value = winSound;
+        deleteSoundPackBtn.disabled = !activeSoundPack;
     }
 
-    // Load saved data on page load
-    loadTagsFromStorage();
-    loadWheelState();
-    loadMutePreference();
-    loadSoundPreference();
-    loadThemePreference();
-    loadGroupManagementState();
+    /**
+     * Saves the pack editor as a named sound pack and switches to it
+     */
+    function saveSoundPack() {
+        const name = soundPackNameInput.value.trim();
+        if (!name) {
+            alert('Please enter a name for the sound pack');
+            soundPackNameInput.focus();
+            return;
+        }
+
+        const packs = getSoundPacks();
+        if (packs[name] && name !== activeSoundPack && !confirm(`A sound pack named "${name}" already exists. Replace it?`)) {
+            return;
+        }
+        packs[name] = {
+            tick: packTickSelect.value,
+            spinStart: packSpinStartSelect.value,
+            win: packWinSelect.value
+        };
+        storeSoundPacks(packs);
+        renderSoundOptions();
+        applySoundPack(name);
+        alert(`Sound pack "${name}" saved!`);
+    }
 
     /**
-     * Add a new tag to the display
-     * @param {string} tagText - The text for the tag
+     * Deletes the active sound pack and goes back to the default sounds
      */
-    function addTag(tagText) {
-        const trimmedText = tagText.trim();
-        if (trimmedText === '' || namesTags.includes(trimmedText)) {
-            return; // Don't add empty or duplicate tags
+    function deleteSoundPack() {
+        if (!activeSoundPack || !confirm(`Delete the sound pack "${activeSoundPack}"?`)) {
+            return;
         }
-        
-        namesTags.push(trimmedText);
-        renderTags();
-        saveTagsToStorage();
+        const packs = getSoundPacks();
+        delete packs[activeSoundPack];
+        storeSoundPacks(packs);
+        renderSoundOptions();
+        applySoundPack('');
+    }
+
+    function loadSoundPackPreference() {
+        applySoundPack(localStorage.getItem('wheelGenerator_soundPack') || '');
     }
 
     /**
-     * Remove a tag by index
-     * @param {number} index - Index of tag to remove
+     * Applies the collapsed/expanded state to the sound pack section
      */
-    function removeTag(index) {
-        if (index >= 0 && index < namesTags.length) {
-            namesTags.splice(index, 1);
-            renderTags();
-            saveTagsToStorage();
+    function applySoundState() {
+        soundControls.classList.toggle('collapsed', isSoundCollapsed);
+        soundHeader.classList.toggle('collapsed', isSoundCollapsed);
+        soundToggle.classList.toggle('expanded', !isSoundCollapsed);
+        soundToggle.textContent = isSoundCollapsed ? '▼' : '▲';
+        soundToggle.title = isSoundCollapsed ? 'Expand sound packs' : 'Collapse sound packs';
+    }
+
+    /**
+     * Toggles the sound pack section visibility
+     */
+    function toggleSound() {
+        isSoundCollapsed = !isSoundCollapsed;
+        applySoundState();
+        localStorage.setItem('wheelGenerator_soundCollapsed', isSoundCollapsed.toString());
+    }
+
+    /**
+     * Loads the sound pack section collapsed state from localStorage
+     */
+    function loadSoundState() {
+        const savedState = localStorage.getItem('wheelGenerator_soundCollapsed');
+        if (savedState !== null) {
+            isSoundCollapsed = savedState === 'true';
         }
+        applySoundState();
     }
 
     /**
-     * Render all tags in the display area
+     * Theme management functions. Custom themes are identified as
+     * "custom:<name>" and sit after the built-in themes in the cycle.
      */
-    function renderTags() {
-        tagsDisplay.innerHTML = '';
-        namesTags.forEach((tagText, index) => {
-            const tagElement = document.createElement('div');
-            tagElement.className = 'tag';
-            tagElement.innerHTML = `
-                <span class="tag-text" title="${tagText}">${tagText}</span>
-                <button class="tag-remove" onclick="removeTagAtIndex(${index})" title="Remove ${tagText}">×</button>
-            `;
-            tagsDisplay.appendChild(tagElement);
-        });
+    function setTheme(theme) {
+        const customTheme = getCustomTheme(theme);
+        currentTheme = customTheme ? theme : BUILT_IN_THEMES.includes(theme) ? theme : 'dark';
+        document.documentElement.setAttribute('data-theme', customTheme ? customTheme.base : currentTheme);
+        applyThemeColors(customTheme ? customTheme.colors : {});
+        updateThemeButton();
+        localStorage.setItem('wheelGenerator_theme', currentTheme);
         
-        // Update placeholder text based on whether tags exist
-        if (namesTags.length > 0) {
-            tagInput.placeholder = 'Add another name...';
-        } else {
-            tagInput.placeholder = 'Enter names for the wheel...';
+        // Redraw the wheel with new theme colors if items exist
+        if (currentItems.length > 0) {
+            renderWheel(selectedIndex);
         }
     }
 
+    function updateThemeButton() {
+        const icons = {
+            'dark': '🌙',
+            'light': '☀️',
+            'auto': '🔄'
+        };
+        const themes = getThemeCycle();
+        const nextTheme = themes[(themes.indexOf(currentTheme) + 1) % themes.length];
+        const describe = theme => (getCustomTheme(theme) ? `"${getCustomThemeName(theme)}" theme` : `${theme} mode`);
+        themeBtn.textContent = icons[currentTheme] || '🎨';
+        themeBtn.title = `Switch to ${describe(nextTheme)}`;
+    }
+
+    function toggleTheme() {
+        const themes = getThemeCycle();
+        const currentIndex = themes.indexOf(currentTheme);
+        const nextIndex = (currentIndex + 1) % themes.length;
+        setTheme(themes[nextIndex]);
+    }
+
+    function loadThemePreference() {
+        // setTheme falls back to the dark theme for unknown or deleted themes
+        setTheme(localStorage.getItem('wheelGenerator_theme') || 'dark');
+    }
+
+    // ================================
+    // CUSTOM THEME FUNCTIONS
+    // ================================
+
+    const BUILT_IN_THEMES = ['dark', 'light', 'auto'];
+
+    // Identifies theme export files written by this app
+    const THEME_EXPORT_FORMAT = 'wheelGenerator.themes';
+
+    // Colours a custom theme can override, as CSS custom properties
+    const THEME_COLOR_FIELDS = [
+        ...Array.from({ length: 10 }, (_, i) => ({ property: `--wheel-color-${i + 1}`, label: `Segment ${i + 1}` })),
+        { property: '--wheel-divider', label: 'Divider' },
+        { property: '--wheel-text', label: 'Segment text' },
+        { property: '--wheel-thickness', label: 'Thickness' },
+        { property: '--wheel-outline', label: 'Outline' },
+        { property: '--wheel-center-line', label: 'Centre line' },
+        { property: '--bg-canvas', label: 'Canvas background' },
+        { property: '--text-primary', label: 'Page text' }
+    ];
+
     /**
-     * Global function to remove tag (called from onclick)
-     * @param {number} index
+     * Gets all saved custom themes from localStorage
+     * @returns {Object} - Map of theme name to {base, colors}
      */
-    window.removeTagAtIndex = function(index) {
-        removeTag(index);
-    };
+    function getCustomThemes() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEYS.CUSTOM_THEMES);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Failed to load custom themes:', e);
+            return {};
+        }
+    }
 
     /**
-     * Parse input text and add multiple tags (for paste functionality)
-     * @param {string} text - Text to parse
+     * Writes all custom themes to localStorage
+     * @param {Object} themes - Map of theme name to {base, colors}
      */
-    function parseAndAddTags(text) {
-        const items = text
-            .split(/[\n,]+/)
-            .map(s => s.trim())
-            .filter(s => s.length > 0);
-        
-        items.forEach(item => addTag(item));
+    function storeCustomThemes(themes) {
+        localStorage.setItem(STORAGE_KEYS.CUSTOM_THEMES, JSON.stringify(themes));
     }
 
     /**
-     * Get current tags as an array (replaces parseInput)
-     * @returns {string[]} array of names/numbers
+     * Gets the name of a custom theme from its theme id
+     * @param {string} theme - Theme id, e.g. "custom:Brand"
+     * @returns {string} - The name, or '' for built-in themes
      */
-    function getCurrentTags() {
-        return [...namesTags]; // Return a copy
+    function getCustomThemeName(theme) {
+        return typeof theme === 'string' && theme.startsWith('custom:') ? theme.slice('custom:'.length) : '';
     }
 
     /**
-     * Randomly shuffles an array in place using the Fisher–Yates algorithm.
-     * @param {any[]} array
+     * Looks up a saved custom theme by its theme id
+     * @param {string} theme - Theme id, e.g. "custom:Brand"
+     * @returns {?Object} - The theme, or null if it is built-in or missing
      */
-    function shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
+    function getCustomTheme(theme) {
+        const name = getCustomThemeName(theme);
+        return (name && getCustomThemes()[name]) || null;
     }
 
     /**
-     * Gets the current wheel color palette based on the active theme
-     * @returns {Array} Array of color strings
+     * Lists the themes the theme button cycles through
+     * @returns {string[]} - Built-in themes followed by custom themes by name
      */
-    function getWheelColorPalette() {
-        const rootStyles = getComputedStyle(document.documentElement);
-        return [
-            rootStyles.getPropertyValue('--wheel-color-1').trim(),
-            rootStyles.getPropertyValue('--wheel-color-2').trim(),
-            rootStyles.getPropertyValue('--wheel-color-3').trim(),
-            rootStyles.getPropertyValue('--wheel-color-4').trim(),
-            rootStyles.getPropertyValue('--wheel-color-5').trim(),
-            rootStyles.getPropertyValue('--wheel-color-6').trim(),
-            rootStyles.getPropertyValue('--wheel-color-7').trim(),
-            rootStyles.getPropertyValue('--wheel-color-8').trim(),
-            rootStyles.getPropertyValue('--wheel-color-9').trim(),
-            rootStyles.getPropertyValue('--wheel-color-10').trim()
-        ];
+    function getThemeCycle() {
+        return [...BUILT_IN_THEMES, ...Object.keys(getCustomThemes()).sort().map(name => `custom:${name}`)];
     }
 
     /**
-     * Gets the current wheel divider color based on the active theme
-     * @returns {string} Divider color string
+     * Overrides theme colours on the document root. Colours that are not
+     * given fall back to the stylesheet values of the base theme.
+     * @param {Object} colors - Map of CSS custom property to colour
      */
-    function getWheelDividerColor() {
-        const rootStyles = getComputedStyle(document.documentElement);
-        return rootStyles.getPropertyValue('--wheel-divider').trim();
+    function applyThemeColors(colors) {
+        THEME_COLOR_FIELDS.forEach(({ property }) => {
+            if (colors[property]) {
+                document.documentElement.style.setProperty(property, colors[property]);
+            } else {
+                document.documentElement.style.removeProperty(property);
+            }
+        });
     }
 
     /**
-     * Gets the current wheel text color based on the active theme
-     * @returns {string} Text color string
+     * Converts a CSS colour value to the #rrggbb form colour inputs accept
+     * @param {string} value
+     * @returns {string}
      */
-    function getWheelTextColor() {
-        const rootStyles = getComputedStyle(document.documentElement);
-        return rootStyles.getPropertyValue('--wheel-text').trim();
+    function toHexColor(value) {
+        const color = (value || '').trim().toLowerCase();
+        if (/^#[0-9a-f]{6}$/.test(color)) {
+            return color;
+        }
+        if (/^#[0-9a-f]{3}$/.test(color)) {
+            return `#${color[1]}${color[1]}${color[2]}${color[2]}${color[3]}${color[3]}`;
+        }
+        return '#000000';
     }
 
     /**
-     * Gets the current wheel thickness color based on the active theme
-     * @returns {string} Thickness color string
+     * Checks that an imported theme matches the {base, colors} shape and
+     * returns a cleaned-up copy
+     * @param {*} theme - Theme data read from a file
+     * @returns {?Object} - The validated theme, or null if it is invalid
      */
-    function getWheelThicknessColor() {
-        const rootStyles = getComputedStyle(document.documentElement);
-        return rootStyles.getPropertyValue('--wheel-thickness').trim();
+    function validateImportedTheme(theme) {
+        if (!theme || typeof theme !== 'object' || !['dark', 'light'].includes(theme.base) ||
+            !theme.colors || typeof theme.colors !== 'object') {
+            return null;
+        }
+        const colors = {};
+        for (const { property } of THEME_COLOR_FIELDS) {
+            const value = theme.colors[property];
+            if (value === undefined) continue;
+            if (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value.trim())) {
+                return null;
+            }
+            colors[property] = toHexColor(value);
+        }
+        return { base: theme.base, colors };
     }
 
     /**
-     * Gets the current wheel outline color based on the active theme
-     * @returns {string} Outline color string
+     * Builds a colour input for every editable theme colour
      */
-    function getWheelOutlineColor() {
-        const rootStyles = getComputedStyle(document.documentElement);
-        return rootStyles.getPropertyValue('--wheel-outline').trim();
+    function buildThemeColorFields() {
+        themeColorFields.replaceChildren();
+        THEME_COLOR_FIELDS.forEach(({ property, label }) => {
+            const field = document.createElement('label');
+            field.className = 'theme-color-field';
+
+            const input = document.createElement('input');
+            input.type = 'color';
+            input.dataset.property = property;
+
+            field.appendChild(input);
+            field.appendChild(document.createTextNode(` ${label}`));
+            themeColorFields.appendChild(field);
+        });
     }
 
     /**
-     * Gets the current wheel center line color based on the active theme
-     * @returns {string} Center line color string
+     * Reads the theme currently set up in the editor
+     * @returns {{base: string, colors: Object}}
      */
-    function getWheelCenterLineColor() {
+    function readThemeEditor() {
+        const colors = {};
+        themeColorFields.querySelectorAll('input[type="color"]').forEach(input => {
+            colors[input.dataset.property] = input.value;
+        });
+        return { base: themeBaseSelect.value, colors };
+    }
+
+    /**
+     * Fills the editor with a saved custom theme, or with the colours that
+     * are on screen when starting a new theme
+     * @param {string} name - Custom theme name, or '' for a new theme
+     */
+    function fillThemeEditor(name) {
+        const theme = getCustomThemes()[name];
+        themeNameInput.value = name;
+        deleteThemeBtn.disabled = !theme;
+
+        const base = theme ? theme.base : document.documentElement.getAttribute('data-theme') === 'light' ? 'light' : 'dark';
+        setThemeEditorColors(base, theme ? theme.colors : {});
+    }
+
+    /**
+     * Sets the editor's colour inputs. Colours that are not given show the
+     * stylesheet values of the base theme.
+     * @param {string} base - 'dark' or 'light'
+     * @param {Object} colors - Map of CSS custom property to colour
+     */
+    function setThemeEditorColors(base, colors) {
+        themeBaseSelect.value = base;
+        document.documentElement.setAttribute('data-theme', base);
+        applyThemeColors(colors);
         const rootStyles = getComputedStyle(document.documentElement);
-        return rootStyles.getPropertyValue('--wheel-center-line').trim();
+        themeColorFields.querySelectorAll('input[type="color"]').forEach(input => {
+            input.value = toHexColor(rootStyles.getPropertyValue(input.dataset.property));
+        });
+        previewThemeEditor();
     }
 
     /**
-     * Draws the wheel with the given items, applying an optional horizontal offset.
-     * When a selected index is provided, that segment will be outlined to highlight it.
-     *
-     * @param {string[]} items
-     * @param {number} offset shift applied to segment positions
-     * @param {?number} highlight index of the item to highlight (or null)
+     * Applies the editor's colours to the page and redraws the wheel
      */
-    function drawWheelWithOffset(items, offset, highlight = null) {
-        // Clear entire canvas
-        const cw = canvas.width;
-        const ch = canvas.height;
-        ctx.clearRect(0, 0, cw, ch);
-        if (!items || items.length === 0) {
-            return;
-        }
-        // For a vertical wheel, the height dominates and the width is narrow
-        const wheelHeight = ch * 0.8;
-        const wheelWidth = cw * 0.35;
-        const x = (cw - wheelWidth) / 2;
-        const y = (ch - wheelHeight) / 2;
-        const segHeight = wheelHeight / items.length;
-        const palette = getWheelColorPalette();
-        const dividerColor = getWheelDividerColor();
-        const textColor = getWheelTextColor();
-        const thicknessColor = getWheelThicknessColor();
-        const outlineColor = getWheelOutlineColor();
-        const centerLineColor = getWheelCenterLineColor();
-        
-        // Draw each segment as a horizontal stripe across the narrow width
-        for (let i = 0; i < items.length; i++) {
-            // Compute wrapped starting y position based on offset
-            const rawStart = y + i * segHeight + offset;
-            let sy = ((rawStart - y) % wheelHeight + wheelHeight) % wheelHeight + y;
-            // Fill segment rectangle
-            ctx.fillStyle = palette[i % palette.length];
-            ctx.fillRect(x, sy, wheelWidth, segHeight);
-            // Divider line between segments (horizontal)
-            ctx.strokeStyle = dividerColor;
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.moveTo(x, sy);
-            ctx.lineTo(x + wheelWidth, sy);
-            ctx.stroke();
-            // Highlight selected segment
-            if (highlight !== null && i === highlight) {
-                ctx.save();
-                ctx.lineWidth = 4;
-                ctx.strokeStyle = '#ffffff';
-                ctx.strokeRect(x, sy, wheelWidth, segHeight);
-                ctx.restore();
-            }
-            // Draw segment label horizontally centred within each stripe
-            ctx.save();
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillStyle = textColor;
-            const fontSize = Math.min(20, segHeight * 0.5);
-            ctx.font = `bold ${fontSize}px sans-serif`;
-            ctx.fillText(items[i], x + wheelWidth / 2, sy + segHeight / 2);
-            ctx.restore();
+    function previewThemeEditor() {
+        const theme = readThemeEditor();
+        document.documentElement.setAttribute('data-theme', theme.base);
+        applyThemeColors(theme.colors);
+        if (currentItems.length > 0) {
+            renderWheel(selectedIndex);
         }
-        // Draw bottom divider line to close the last segment
-        ctx.strokeStyle = dividerColor;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(x, y + wheelHeight);
-        ctx.lineTo(x + wheelWidth, y + wheelHeight);
-        ctx.stroke();
-        // Simulate thickness with simple rectangles above and below the wheel instead of semi‑circles
-        const thickness = wheelHeight * 0.1; // 10% of the wheel height as thickness
-        ctx.fillStyle = thicknessColor;
-        // Top thickness rectangle
-        ctx.fillRect(x, y - thickness, wheelWidth, thickness);
-        // Bottom thickness rectangle
-        ctx.fillRect(x, y + wheelHeight, wheelWidth, thickness);
-        // Outline of the wheel rectangle
-        ctx.strokeStyle = outlineColor;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x, y, wheelWidth, wheelHeight);
-        // Centre indicator: horizontal line across the middle with a contrasting border
-        ctx.save();
-        const centerY = ch / 2;
-        // Draw a slightly thicker white line underneath to act as a border
-        ctx.strokeStyle = centerLineColor;
-        ctx.lineWidth = 6;
-        ctx.beginPath();
-        ctx.moveTo(x, centerY);
-        ctx.lineTo(x + wheelWidth, centerY);
-        ctx.stroke();
-        // Draw the accent line on top
-        ctx.strokeStyle = palette[0]; // Use the first wheel color as accent
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.moveTo(x, centerY);
-        ctx.lineTo(x + wheelWidth, centerY);
-        ctx.stroke();
-        ctx.restore();
     }
 
     /**
-     * Calculate the index of the segment currently under the centre line.
-     * @param {string[]} items
-     * @param {number} offset
-     * @returns {number} index of the segment at the centre
+     * Refreshes the list of custom themes in the editor
+     * @param {string} selectedName - Theme to select afterwards
      */
-    function getIndexAtCentre(items, offset) {
-        // Compute which segment is currently centered along the horizontal centre line
-        const ch = canvas.height;
-        const wheelHeight = ch * 0.8;
-        const segHeight = wheelHeight / items.length;
-        const y = (ch - wheelHeight) / 2;
-        const centerY = ch / 2;
+    function updateThemeEditorSelect(selectedName = '') {
+        themeEditorSelect.innerHTML = '<option value="">New theme...</option>';
+        Object.keys(getCustomThemes()).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            themeEditorSelect.appendChild(option);
+        });
+        themeEditorSelect.value = selectedName;
+    }
+
+    /**
+     * Opens the theme editor on the current custom theme, if any
+     */
+    function openThemeEditor() {
+        const name = getCustomTheme(currentTheme) ? getCustomThemeName(currentTheme) : '';
+        updateThemeEditorSelect(name);
+        themeEditor.hidden = false;
+        fillThemeEditor(name);
+    }
+
+    /**
+     * Closes the theme editor and drops any unsaved preview
+     */
+    function closeThemeEditor() {
+        themeEditor.hidden = true;
+        setTheme(currentTheme);
+    }
+
+    /**
+     * Saves the editor's colours as a named custom theme and switches to it
+     */
+    function saveCustomTheme() {
+        const name = themeNameInput.value.trim().slice(0, 30);
+        if (!name) {
+            alert('Please enter a theme name');
+            return;
+        }
+
+        const themes = getCustomThemes();
+        if (themes[name] && name !== themeEditorSelect.value &&
+            !confirm(`A theme named "${name}" already exists. Replace it?`)) {
+            return;
+        }
+
+        themes[name] = readThemeEditor();
+        storeCustomThemes(themes);
+        updateThemeEditorSelect(name);
+        deleteThemeBtn.disabled = false;
+        setTheme(`custom:${name}`);
+    }
+
+    /**
+     * Deletes the custom theme selected in the editor
+     */
+    function deleteCustomTheme() {
+        const name = themeEditorSelect.value;
+        if (!name || !confirm(`Are you sure you want to delete the theme "${name}"?`)) {
+            return;
+        }
+
+        const themes = getCustomThemes();
+        delete themes[name];
+        storeCustomThemes(themes);
+        if (currentTheme === `custom:${name}`) {
+            setTheme('dark');
+        }
+        updateThemeEditorSelect();
+        fillThemeEditor('');
+    }
+
+    /**
+     * Exports the theme in the editor as a JSON file
+     */
+    function exportCustomTheme() {
+        const name = themeNameInput.value.trim().slice(0, 30) || 'Custom theme';
+        const json = JSON.stringify({
+            format: THEME_EXPORT_FORMAT,
+            version: 1,
+            themes: { [name]: readThemeEditor() }
+        }, null, 2);
+        downloadFile(`theme-${name.replace(/[^\w-]+/g, '_')}.json`, json, 'application/json');
+    }
+
+    /**
+     * Imports the themes in an exported JSON file. Themes with the same
+     * name as a saved one replace it.
+     * @param {File} file - The JSON file
+     */
+    async function importCustomThemes(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            console.warn('Failed to import themes:', e);
+            alert(`Could not import "${file.name}": ${e.message}`);
+            return;
+        }
+
+        const imported = data && data.format === THEME_EXPORT_FORMAT ? data.themes : null;
+        if (!imported || typeof imported !== 'object') {
+            alert(`"${file.name}" is not a theme export file`);
+            return;
+        }
+
+        const themes = getCustomThemes();
+        const added = [];
+        const invalid = [];
+        Object.keys(imported).forEach(rawName => {
+            const name = rawName.trim().slice(0, 30);
+            const theme = name ? validateImportedTheme(imported[rawName]) : null;
+            if (theme) {
+                themes[name] = theme;
+                added.push(name);
+            } else {
+                invalid.push(rawName);
+            }
+        });
+
+        if (added.length === 0) {
+            alert(`No valid themes found in "${file.name}"`);
+            return;
+        }
+
+        storeCustomThemes(themes);
+        updateThemeEditorSelect(added[0]);
+        fillThemeEditor(added[0]);
+
+        let message = `Imported ${added.length} theme(s): ${added.join(', ')}`;
+        if (invalid.length > 0) {
+            message += `. Skipped invalid theme(s): ${invalid.join(', ')}`;
+        }
+        alert(message);
+    }
+
+    /**
+     * Spin mode management functions
+     */
+    function setSpinMode(mode) {
+        spinMode = mode;
+        modeSelect.value = mode;
+        localStorage.setItem('wheelGenerator_spinMode', mode);
+        cancelAutoSpin();
+        updateSpinButtonState();
+    }
+
+    /**
+     * Wheel view management functions
+     */
+    function setWheelView(view) {
+        if (isSpinning) {
+            // Switching views mid-spin would mix offsets and angles
+            viewSelect.value = wheelView;
+            return;
+        }
+        wheelView = view;
+        viewSelect.value = view;
+        localStorage.setItem('wheelGenerator_wheelView', view);
+
+        if (currentItems.length > 0) {
+            renderWheel(selectedIndex);
+        }
+    }
+
+    function loadWheelViewPreference() {
+        const savedView = localStorage.getItem('wheelGenerator_wheelView');
+        if (savedView && ['drum', 'circle'].includes(savedView)) {
+            setWheelView(savedView);
+        }
+    }
+
+    function loadSpinModePreference() {
+        const savedMode = localStorage.getItem('wheelGenerator_spinMode');
+        if (savedMode && ['remove', 'keep', 'elimination'].includes(savedMode)) {
+            spinMode = savedMode;
+        }
+        modeSelect.value = spinMode;
+    }
+
+    /**
+     * Cancels the automatic follow-up spin scheduled in elimination mode or
+     * a multi-winner draw, and abandons the draw
+     */
+    function cancelAutoSpin() {
+        if (autoSpinTimer !== null) {
+            clearTimeout(autoSpinTimer);
+            autoSpinTimer = null;
+        }
+        drawSequence = null;
+    }
+
+    /**
+     * Multi-winner draw preference functions
+     */
+    function setDrawCount(count) {
+        drawCount = Math.min(Math.max(Math.floor(Number(count)) || 1, 1), MAX_DRAW_COUNT);
+        drawCountInput.value = drawCount;
+        localStorage.setItem('wheelGenerator_drawCount', drawCount.toString());
+    }
+
+    function loadDrawCountPreference() {
+        setDrawCount(localStorage.getItem('wheelGenerator_drawCount') || 1);
+    }
+
+    // ================================
+    // GROUP MANAGEMENT TOGGLE FUNCTIONS
+    // ================================
+
+    /**
+     * Toggles the group management section visibility
+     */
+    function toggleGroupManagement() {
+        isGroupManagementCollapsed = !isGroupManagementCollapsed;
         
-        // Calculate position relative to wheel start, accounting for offset
-        const relativePos = centerY - y - offset;
-        // Normalize to positive range and wrap around
-        const normalizedPos = ((relativePos % wheelHeight) + wheelHeight) % wheelHeight;
-        // Find which segment this position falls into
-        const index = Math.floor(normalizedPos / segHeight);
-        return index % items.length;
+        if (isGroupManagementCollapsed) {
+            groupControls.classList.add('collapsed');
+            groupHeader.classList.add('collapsed');
+            groupToggle.classList.remove('expanded');
+            groupToggle.textContent = '▼';
+            groupToggle.title = 'Expand group management';
+        } else {
+            groupControls.classList.remove('collapsed');
+            groupHeader.classList.remove('collapsed');
+            groupToggle.classList.add('expanded');
+            groupToggle.textContent = '▲';
+            groupToggle.title = 'Collapse group management';
+        }
+        
+        // Save the state to localStorage
+        localStorage.setItem('wheelGenerator_groupManagementCollapsed', isGroupManagementCollapsed.toString());
+    }
+
+    /**
+     * Loads the group management collapsed state from localStorage
+     */
+    function loadGroupManagementState() {
+        const savedState = localStorage.getItem('wheelGenerator_groupManagementCollapsed');
+        if (savedState !== null) {
+            isGroupManagementCollapsed = savedState === 'true';
+        }
+        
+        // Apply the saved state
+        if (isGroupManagementCollapsed) {
+            groupControls.classList.add('collapsed');
+            groupHeader.classList.add('collapsed');
+            groupToggle.classList.remove('expanded');
+            groupToggle.textContent = '▼';
+            groupToggle.title = 'Expand group management';
+        } else {
+            groupControls.classList.remove('collapsed');
+            groupHeader.classList.remove('collapsed');
+            groupToggle.classList.add('expanded');
+            groupToggle.textContent = '▲';
+            groupToggle.title = 'Collapse group management';
+        }
+    }
+
+    // Storage keys for localStorage
+    const STORAGE_KEYS = {
+        TAGS_LIST: 'wheelGenerator_tagsList',
+        CURRENT_ITEMS: 'wheelGenerator_currentItems',
+        ORIGINAL_ITEMS: 'wheelGenerator_originalItems',
+        SAVED_GROUPS: 'wheelGenerator_savedGroups',
+        SPIN_HISTORY: 'wheelGenerator_spinHistory',
+        ACTIVE_GROUP: 'wheelGenerator_activeGroup',
+        CUSTOM_THEMES: 'wheelGenerator_customThemes',
+        CUSTOM_SOUNDS: 'wheelGenerator_customSounds',
+        SOUND_PACKS: 'wheelGenerator_soundPacks',
+        ROTATION: 'wheelGenerator_rotation'
+    };
+
+    // Angle of the circular wheel's pointer (straight up, in canvas coordinates)
+    const POINTER_ANGLE = -Math.PI / 2;
+
+    // Pause between automatic spins in elimination mode and multi-winner draws (ms)
+    const AUTO_SPIN_DELAY = 1500;
+
+    // Most winners a single draw can pick
+    const MAX_DRAW_COUNT = 100;
+
+    // Oldest spins are dropped once the history grows beyond this many entries
+    const MAX_HISTORY_ENTRIES = 1000;
+
+    // Wheels with more entries than this switch to large-list drawing
+    const LARGE_LIST_THRESHOLD = 150;
+
+    // Number of names and row height (px) shown in the large-list magnifier
+    const MAGNIFIER_ROWS = 5;
+    const MAGNIFIER_ROW_HEIGHT = 26;
+
+    // Segment label sizing; declared before the saved wheel is first drawn on load
+    const MIN_LABEL_FONT_SIZE = 9;
+    const LABEL_LINE_HEIGHT = 1.15;
+    const LABEL_PADDING = 8;
+    // WCAG AA contrast ratio for normal text
+    const MIN_LABEL_CONTRAST = 4.5;
+
+    // Label layouts are measured once per name and size, not on every animation frame
+    const labelLayoutCache = new Map();
+    const MAX_LABEL_CACHE_ENTRIES = 2000;
+
+    // Shortest gap between tick sounds (ms), so big wheels don't tick every frame
+    const MIN_TICK_INTERVAL = 45;
+
+    // Tag lists longer than this only show the first TAG_PREVIEW_COUNT tags until expanded
+    const TAG_COLLAPSE_THRESHOLD = 100;
+    const TAG_PREVIEW_COUNT = 50;
+
+    // Longest number range (e.g. "1-100") that an import expands into tags
+    const MAX_IMPORT_RANGE = 10000;
+
+    // Header names that identify the columns of an imported table
+    const IMPORT_COLUMN_HEADERS = {
+        name: /^(names?|full ?names?|participants?|people|person)$/i,
+        weight: /^(weights?|tickets?|chances?)$/i,
+        group: /^(groups?|teams?)$/i
+    };
+
+    /**
+     * Saves the current tags list to localStorage
+     */
+    function saveTagsToStorage() {
+        if (namesTags.length > 0) {
+            localStorage.setItem(STORAGE_KEYS.TAGS_LIST, JSON.stringify(namesTags));
+        } else {
+            localStorage.removeItem(STORAGE_KEYS.TAGS_LIST);
+        }
+    }
+
+    /**
+     * Saves the current wheel state to localStorage
+     */
+    function saveWheelState() {
+        if (currentItems.length > 0) {
+            localStorage.setItem(STORAGE_KEYS.CURRENT_ITEMS, JSON.stringify(currentItems));
+        }
+        if (originalItems.length > 0) {
+            localStorage.setItem(STORAGE_KEYS.ORIGINAL_ITEMS, JSON.stringify(originalItems));
+        }
+    }
+
+    /**
+     * Loads the tags list from localStorage
+     */
+    function loadTagsFromStorage() {
+        const savedTags = localStorage.getItem(STORAGE_KEYS.TAGS_LIST);
+        if (savedTags) {
+            try {
+                namesTags = JSON.parse(savedTags).map(normalizeTag).filter(Boolean);
+                renderTags();
+                refreshExclusions();
+            } catch (e) {
+                console.warn('Failed to parse saved tags:', e);
+                namesTags = [];
+            }
+        }
+    }
+
+    // ================================
+    // SHAREABLE WHEEL LINKS
+    // ================================
+
+    // URL fragment parameter that carries a shared wheel, e.g. #wheel=eyJ2Ijox...
+    const SHARE_HASH_PARAM = 'wheel';
+
+    /**
+     * Encodes a value as URL-safe base64 JSON (UTF-8 aware)
+     * @param {*} value
+     * @returns {string}
+     */
+    function encodeSharePayload(value) {
+        const bytes = new TextEncoder().encode(JSON.stringify(value));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decodes a value produced by encodeSharePayload
+     * @param {string} encoded
+     * @returns {*}
+     */
+    function decodeSharePayload(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    // Per-name details that travel with a shared link, alongside name and weight
+    const SHARED_TAG_FIELDS = ['color', 'emoji', 'disabled', 'excludedOn'];
+
+    /**
+     * Packs a tag for a share link: a bare string for a plain name,
+     * [name, weight] when weighted and [name, weight, details] when it has
+     * a colour, an emoji or is sitting out
+     * @param {{name: string, weight: number}} tag
+     * @returns {string|Array}
+     */
+    function packSharedTag(tag) {
+        const details = {};
+        SHARED_TAG_FIELDS.forEach(field => {
+            if (tag[field] !== undefined) {
+                details[field] = tag[field];
+            }
+        });
+        if (Object.keys(details).length > 0) {
+            return [tag.name, tag.weight, details];
+        }
+        return tag.weight === 1 ? tag.name : [tag.name, tag.weight];
+    }
+
+    /**
+     * Reverses packSharedTag. Links made before details were shared only hold
+     * strings and [name, weight] pairs, which still load the same way.
+     * Unknown detail fields are ignored.
+     * @param {string|Array} entry
+     * @returns {?{name: string, weight: number}}
+     */
+    function unpackSharedTag(entry) {
+        if (!Array.isArray(entry)) {
+            return normalizeTag(entry);
+        }
+        const [name, weight, details] = entry;
+        const tag = { name, weight };
+        if (details && typeof details === 'object') {
+            SHARED_TAG_FIELDS.forEach(field => {
+                if (details[field] !== undefined) {
+                    tag[field] = details[field];
+                }
+            });
+        }
+        return normalizeTag(tag);
+    }
+
+    /**
+     * Builds a link that restores the current names, weights and settings.
+     * Everything lives in the URL fragment, so no server is involved.
+     * @returns {string}
+     */
+    function buildShareUrl() {
+        const payload = {
+            v: 1,
+            t: namesTags.map(packSharedTag),
+            th: currentTheme,
+            s: currentSoundType,
+            m: spinMode,
+            mu: isMuted ? 1 : 0
+        };
+        const url = new URL(window.location.href);
+        url.hash = `${SHARE_HASH_PARAM}=${encodeSharePayload(payload)}`;
+        return url.toString();
+    }
+
+    /**
+     * Copies a share link for the current wheel to the clipboard
+     */
+    async function shareWheel() {
+        if (namesTags.length === 0) {
+            alert('Please add some names before sharing the wheel');
+            return;
+        }
+
+        const shareUrl = buildShareUrl();
+        try {
+            await navigator.clipboard.writeText(shareUrl);
+            alert('Link copied to clipboard!');
+        } catch (e) {
+            // Clipboard access can be blocked (e.g. on non-HTTPS pages); let the user copy it
+            prompt('Copy this link to share the wheel:', shareUrl);
+        }
+    }
+
+    /**
+     * Restores a shared wheel from the URL fragment, if one is present.
+     * The fragment is removed afterwards so a reload keeps local edits.
+     * @returns {boolean} - True if a shared wheel was loaded
+     */
+    function loadWheelFromUrl() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const encoded = params.get(SHARE_HASH_PARAM);
+        if (!encoded) {
+            return false;
+        }
+
+        let payload;
+        try {
+            payload = decodeSharePayload(encoded);
+        } catch (e) {
+            console.warn('Failed to parse shared wheel link:', e);
+            return false;
+        }
+        if (!payload || !Array.isArray(payload.t)) {
+            console.warn('Shared wheel link has no names');
+            return false;
+        }
+
+        if (namesTags.length > 0) {
+            recordUndo('Opened a shared wheel', true);
+        }
+        // Sit-outs from an earlier day lapse here just as they do for saved names
+        namesTags = liftExpiredExclusions(payload.t.map(unpackSharedTag).filter(Boolean));
+        renderTags();
+        saveTagsToStorage();
+        setActiveGroup('');
+
+        // Custom themes only exist on the machine that saved them
+        if (BUILT_IN_THEMES.includes(payload.th) || getCustomTheme(payload.th)) {
+            setTheme(payload.th);
+        }
+        if (Array.from(soundSelect.options).some(option => option.value === payload.s)) {
+            soundSelect.value = payload.s;
+            currentSoundType = payload.s;
+            localStorage.setItem('wheelGenerator_soundType', currentSoundType);
+            setSpinSoundType();
+        }
+        if (['remove', 'keep', 'elimination'].includes(payload.m)) {
+            setSpinMode(payload.m);
+        }
+        if (typeof payload.mu === 'number' && Boolean(payload.mu) !== isMuted) {
+            toggleMute();
+        }
+
+        overlayResult.style.display = 'none';
+        if (namesTags.length > 0) {
+            generateWheel();
+        }
+
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        return true;
+    }
+
+    /**
+     * Loads the wheel state from localStorage
+     */
+    function loadWheelState() {
+        const savedCurrentItems = localStorage.getItem(STORAGE_KEYS.CURRENT_ITEMS);
+        const savedOriginalItems = localStorage.getItem(STORAGE_KEYS.ORIGINAL_ITEMS);
+        
+        if (savedCurrentItems) {
+            try {
+                currentItems = JSON.parse(savedCurrentItems).map(normalizeTag).filter(Boolean);
+            } catch (e) {
+                console.warn('Failed to parse saved current items:', e);
+                currentItems = [];
+            }
+        }
+        
+        if (savedOriginalItems) {
+            try {
+                originalItems = JSON.parse(savedOriginalItems).map(normalizeTag).filter(Boolean);
+            } catch (e) {
+                console.warn('Failed to parse saved original items:', e);
+                originalItems = [];
+            }
+        }
+        
+        // If we have current items, redraw the wheel
+        if (currentItems.length > 0) {
+            renderWheel();
+        }
+    }
+
+    /**
+     * Clears wheel state from localStorage
+     */
+    function clearWheelState() {
+        localStorage.removeItem(STORAGE_KEYS.CURRENT_ITEMS);
+        localStorage.removeItem(STORAGE_KEYS.ORIGINAL_ITEMS);
+    }
+
+    // ================================
+    // GROUP MANAGEMENT FUNCTIONS
+    // ================================
+
+    /**
+     * Saves a group of names to localStorage. Saving over an existing group
+     * keeps its creation date.
+     * @param {string} groupName - The name of the group
+     * @param {Array} names - Array of tags ({name, weight}) to save
+     */
+    function saveGroup(groupName, names) {
+        if (!groupName || names.length === 0) return false;
+
+        const savedGroups = getSavedGroups();
+        const existing = savedGroups[groupName];
+        const now = new Date().toISOString();
+        savedGroups[groupName] = {
+            names: names.map(tag => ({ ...tag })),
+            dateCreated: existing ? existing.dateCreated : now,
+            dateModified: now
+        };
+
+        storeSavedGroups(savedGroups);
+        return true;
+    }
+
+    /**
+     * Replaces the names of an existing group, keeping its creation date
+     * @param {string} groupName - The name of the group
+     * @param {Array} names - Array of tags ({name, weight}) to store
+     * @returns {boolean} - False if the group does not exist or names is empty
+     */
+    function updateGroup(groupName, names) {
+        const savedGroups = getSavedGroups();
+        if (!savedGroups[groupName] || names.length === 0) return false;
+
+        savedGroups[groupName].names = names.map(tag => ({ ...tag }));
+        savedGroups[groupName].dateModified = new Date().toISOString();
+        storeSavedGroups(savedGroups);
+        return true;
+    }
+
+    /**
+     * Renames a saved group
+     * @param {string} oldName - Current name of the group
+     * @param {string} newName - New name for the group
+     * @returns {boolean} - False if the group is missing or the new name is taken
+     */
+    function renameGroup(oldName, newName) {
+        const savedGroups = getSavedGroups();
+        if (!savedGroups[oldName] || !newName || savedGroups[newName]) return false;
+
+        savedGroups[newName] = {
+            ...savedGroups[oldName],
+            dateModified: new Date().toISOString()
+        };
+        delete savedGroups[oldName];
+        storeSavedGroups(savedGroups);
+
+        // Pick counts follow the group to its new name
+        const rotation = getRotationData();
+        if (rotation[oldName]) {
+            rotation[newName] = rotation[oldName];
+            delete rotation[oldName];
+            storeRotationData(rotation);
+        }
+
+        if (activeGroupName === oldName) {
+            setActiveGroup(newName);
+        }
+        return true;
+    }
+
+    /**
+     * Copies a saved group under a new name
+     * @param {string} groupName - Name of the group to copy
+     * @param {string} newName - Name for the copy
+     * @returns {boolean} - False if the group is missing or the new name is taken
+     */
+    function duplicateGroup(groupName, newName) {
+        const savedGroups = getSavedGroups();
+        if (!savedGroups[groupName] || !newName || savedGroups[newName]) return false;
+
+        return saveGroup(newName, loadGroup(groupName));
+    }
+
+    /**
+     * Adds a member to a saved group without touching the current names.
+     * Accepts the same "Name x3" weight syntax as the tag input.
+     * @param {string} groupName - The name of the group
+     * @param {string} memberText - The member to add
+     * @returns {boolean} - False if nothing was added
+     */
+    function addGroupMember(groupName, memberText) {
+        const names = loadGroup(groupName);
+        const tag = parseTagText(memberText);
+        if (!names || !tag || names.some(t => t.name === tag.name)) return false;
+
+        recordUndo(`Added "${tag.name}" to group "${groupName}"`);
+        names.push({ name: tag.name, weight: tag.weight });
+        return updateGroup(groupName, names);
+    }
+
+    /**
+     * Removes a member from a saved group without touching the current names
+     * @param {string} groupName - The name of the group
+     * @param {number} index - Index of the member to remove
+     * @returns {boolean} - False if the member could not be removed
+     */
+    function removeGroupMember(groupName, index) {
+        const names = loadGroup(groupName);
+        if (!names || index < 0 || index >= names.length || names.length === 1) return false;
+
+        recordUndo(`Removed "${names[index].name}" from group "${groupName}"`, true);
+        names.splice(index, 1);
+        return updateGroup(groupName, names);
+    }
+
+    /**
+     * Marks a member of a saved group as sitting out, or brings them back,
+     * without touching the current names
+     * @param {string} groupName - The name of the group
+     * @param {number} index - Index of the member to toggle
+     * @returns {boolean} - False if the member could not be changed
+     */
+    function toggleGroupMemberExcluded(groupName, index) {
+        const names = loadGroup(groupName);
+        if (!names || !names[index]) return false;
+
+        const member = names[index];
+        recordUndo(`Edited "${member.name}" in group "${groupName}"`);
+        names[index] = normalizeTag({ ...member, ...getExclusionChanges(member, !member.disabled) });
+        return updateGroup(groupName, names);
+    }
+
+    /**
+     * Loads a group of names from localStorage
+     * @param {string} groupName - The name of the group to load
+     * @returns {Array|null} - Array of tags or null if not found
+     */
+    function loadGroup(groupName) {
+        const savedGroups = getSavedGroups();
+        if (!savedGroups[groupName]) return null;
+        // Older groups stored plain strings; normalize them to weighted tags
+        return liftExpiredExclusions(savedGroups[groupName].names.map(normalizeTag).filter(Boolean));
+    }
+
+    /**
+     * Deletes a group from localStorage
+     * @param {string} groupName - The name of the group to delete
+     */
+    function deleteGroup(groupName) {
+        const savedGroups = getSavedGroups();
+        delete savedGroups[groupName];
+        storeSavedGroups(savedGroups);
+
+        const rotation = getRotationData();
+        if (rotation[groupName]) {
+            delete rotation[groupName];
+            storeRotationData(rotation);
+        }
+    }
+
+    /**
+     * Writes all saved groups to localStorage
+     * @param {Object} savedGroups - Object containing all saved groups
+     */
+    function storeSavedGroups(savedGroups) {
+        localStorage.setItem(STORAGE_KEYS.SAVED_GROUPS, JSON.stringify(savedGroups));
+    }
+
+    /**
+     * Gets all saved groups from localStorage
+     * @returns {Object} - Object containing all saved groups
+     */
+    function getSavedGroups() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEYS.SAVED_GROUPS);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Error loading saved groups:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Updates the group select dropdown with saved groups
+     */
+    function updateGroupSelect() {
+        const groupSelect = document.getElementById('groupSelect');
+        const savedGroups = getSavedGroups();
+        const previousSelection = groupSelect.value;
+
+        // Clear existing options except the first one
+        groupSelect.innerHTML = '<option value="">Choose a saved group...</option>';
+
+        // Add saved groups as options
+        Object.keys(savedGroups).sort().forEach(groupName => {
+            const group = savedGroups[groupName];
+            const option = document.createElement('option');
+            option.value = groupName;
+            option.textContent = `${groupName} (${group.names.length} names)`;
+            option.title = `${getGroupMemberPreview(group)}\n${formatGroupDates(group)}`;
+            groupSelect.appendChild(option);
+        });
+
+        // Keep the previous selection if that group still exists
+        if (savedGroups[previousSelection]) {
+            groupSelect.value = previousSelection;
+        }
+
+        // Rebuild the merge checklist, keeping groups that were already ticked
+        const checkedGroups = getCheckedMergeGroups();
+        groupMergeList.replaceChildren();
+        Object.keys(savedGroups).sort().forEach(groupName => {
+            const label = document.createElement('label');
+            label.className = 'group-merge-option';
+            label.title = getGroupMemberPreview(savedGroups[groupName]);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = groupName;
+            checkbox.checked = checkedGroups.includes(groupName);
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${groupName}`));
+            groupMergeList.appendChild(label);
+        });
+
+        // Update button states
+        updateGroupButtonStates();
+    }
+
+    /**
+     * Gets the groups ticked in the merge checklist
+     * @returns {string[]} - Group names
+     */
+    function getCheckedMergeGroups() {
+        return Array.from(groupMergeList.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+    }
+
+    /**
+     * Combines several saved groups into one list of tags. Names are
+     * de-duplicated the same way addTag does (the first occurrence wins) and
+     * each tag remembers the group it came from.
+     * @param {string[]} groupNames - Names of the groups to merge, in order
+     * @returns {Array} - Merged tags ({name, weight, group})
+     */
+    function mergeGroups(groupNames) {
+        const merged = [];
+        groupNames.forEach(groupName => {
+            (loadGroup(groupName) || []).forEach(tag => {
+                if (!merged.some(t => t.name === tag.name)) {
+                    merged.push({ ...tag, group: groupName });
+                }
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Color by group preference functions
+     */
+    function setColorByGroup(enabled) {
+        colorByGroup = enabled;
+        colorByGroupToggle.checked = enabled;
+        localStorage.setItem('wheelGenerator_colorByGroup', enabled.toString());
+
+        if (currentItems.length > 0) {
+            renderWheel(selectedIndex);
+        }
+    }
+
+    function loadColorByGroupPreference() {
+        colorByGroup = localStorage.getItem('wheelGenerator_colorByGroup') === 'true';
+        colorByGroupToggle.checked = colorByGroup;
+    }
+
+    /**
+     * Builds a short comma separated preview of a group's members
+     * @param {Object} group - A saved group
+     * @param {number} limit - Maximum number of names to list
+     * @returns {string}
+     */
+    function getGroupMemberPreview(group, limit = 8) {
+        const names = group.names.map(normalizeTag).filter(Boolean).map(tag => tag.name);
+        const preview = names.slice(0, limit).join(', ');
+        return names.length > limit ? `${preview}, … (+${names.length - limit} more)` : preview;
+    }
+
+    /**
+     * Formats a group's created and modified dates for display
+     * @param {Object} group - A saved group
+     * @returns {string}
+     */
+    function formatGroupDates(group) {
+        const format = iso => new Date(iso).toLocaleDateString(undefined, { dateStyle: 'medium' });
+        return `Created ${format(group.dateCreated)} · Modified ${format(group.dateModified)}`;
+    }
+
+    /**
+     * Shows the selected group's dates, a preview of its members and the
+     * editable member list
+     */
+    function renderGroupDetails() {
+        const groupName = groupSelect.value;
+        const group = getSavedGroups()[groupName];
+        groupDetails.hidden = !group;
+        groupMembers.replaceChildren();
+        if (!group) {
+            return;
+        }
+
+        groupMeta.textContent = formatGroupDates(group);
+        groupPreview.textContent = group.names.length > 0
+            ? `${group.names.length} ${group.names.length === 1 ? 'name' : 'names'}: ${getGroupMemberPreview(group)}`
+            : 'No names yet';
+        loadGroup(groupName).forEach((tag, index) => {
+            const memberElement = document.createElement('div');
+            memberElement.className = tag.disabled ? 'tag tag-disabled' : 'tag';
+            memberElement.appendChild(createExcludeButton(tag, index, tag.name));
+
+            const text = document.createElement('span');
+            text.className = 'tag-text';
+            text.textContent = tag.name;
+            text.title = tag.disabled ? `${tag.name} · sitting out` : tag.name;
+            memberElement.appendChild(text);
+
+            if (tag.weight !== 1) {
+                const weight = document.createElement('span');
+                weight.className = 'tag-weight';
+                weight.textContent = `×${tag.weight}`;
+                memberElement.appendChild(weight);
+            }
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'tag-remove';
+            removeButton.dataset.index = index;
+            removeButton.title = `Remove ${tag.name} from ${groupName}`;
+            removeButton.textContent = '×';
+            memberElement.appendChild(removeButton);
+
+            groupMembers.appendChild(memberElement);
+        });
+    }
+
+    /**
+     * Sets the name of the group the current names came from, so spins can
+     * be attributed to it in the history
+     * @param {string} groupName - The group name, or '' when names were edited by hand
+     */
+    function setActiveGroup(groupName) {
+        activeGroupName = groupName;
+        if (groupName) {
+            localStorage.setItem(STORAGE_KEYS.ACTIVE_GROUP, groupName);
+        } else {
+            localStorage.removeItem(STORAGE_KEYS.ACTIVE_GROUP);
+        }
+        renderRotation();
+    }
+
+    /**
+     * Loads the active group name from localStorage
+     */
+    function loadActiveGroup() {
+        activeGroupName = localStorage.getItem(STORAGE_KEYS.ACTIVE_GROUP) || '';
+    }
+
+    /**
+     * Updates the state of group management buttons
+     */
+    function updateGroupButtonStates() {
+        const groupSelect = document.getElementById('groupSelect');
+        const loadBtn = document.getElementById('loadGroupBtn');
+        const deleteBtn = document.getElementById('deleteGroupBtn');
+        
+        const hasSelection = groupSelect.value !== '';
+        mergeGroupsBtn.disabled = getCheckedMergeGroups().length < 2;
+        loadBtn.disabled = !hasSelection;
+        deleteBtn.disabled = !hasSelection;
+        updateGroupBtn.disabled = !hasSelection;
+        renameGroupBtn.disabled = !hasSelection;
+        duplicateGroupBtn.disabled = !hasSelection;
+        renderGroupDetails();
+
+        // Export the ticked groups, else the selected one, else every group
+        if (getCheckedMergeGroups().length > 0) {
+            exportGroupsBtn.textContent = '📤 Export Ticked';
+        } else {
+            exportGroupsBtn.textContent = hasSelection ? '📤 Export Selected' : '📤 Export All';
+        }
+        exportGroupsBtn.disabled = Object.keys(getSavedGroups()).length === 0;
+    }
+
+    /**
+     * Gets the groups the export button writes: those ticked in the merge
+     * checklist, otherwise the selected group, otherwise every saved group
+     * @returns {string[]} - Group names
+     */
+    function getGroupsToExport() {
+        const checked = getCheckedMergeGroups();
+        if (checked.length > 0) {
+            return checked;
+        }
+        return groupSelect.value ? [groupSelect.value] : Object.keys(getSavedGroups()).sort();
+    }
+
+    // ================================
+    // GROUP IMPORT/EXPORT FUNCTIONS
+    // ================================
+
+    // Identifies group export files written by this app
+    const GROUP_EXPORT_FORMAT = 'wheelGenerator.groups';
+
+    /**
+     * Exports saved groups to a downloadable file
+     * @param {string[]} groupNames - Names of the groups to export
+     * @param {string} format - 'json' or 'csv'
+     */
+    function exportGroups(groupNames, format) {
+        const savedGroups = getSavedGroups();
+        const groups = {};
+        groupNames.forEach(groupName => {
+            if (savedGroups[groupName]) {
+                groups[groupName] = savedGroups[groupName];
+            }
+        });
+
+        const baseName = groupNames.length === 1
+            ? `group-${groupNames[0].replace(/[^\w-]+/g, '_')}`
+            : `groups-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'csv') {
+            // One row per name; the per-name columns match what the JSON export keeps
+            const rows = [['group', 'name', 'weight', 'color', 'emoji', 'disabled', 'excludedOn', 'dateCreated', 'dateModified']];
+            Object.keys(groups).forEach(groupName => {
+                const group = groups[groupName];
+                group.names.map(normalizeTag).filter(Boolean).forEach(tag => {
+                    rows.push([
+                        groupName, tag.name, tag.weight, tag.color, tag.emoji, tag.disabled ? 'true' : '',
+                        tag.excludedOn, group.dateCreated, group.dateModified
+                    ]);
+                });
+            });
+            const csv = rows.map(row => row.map(toCsvValue).join(',')).join('\r\n');
+            downloadFile(`${baseName}.csv`, csv, 'text/csv');
+        } else {
+            const json = JSON.stringify({ format: GROUP_EXPORT_FORMAT, version: 1, groups }, null, 2);
+            downloadFile(`${baseName}.json`, json, 'application/json');
+        }
+    }
+
+    /**
+     * Parses CSV text into rows of fields. Handles quoted fields containing
+     * commas, newlines and doubled quotes.
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field separator
+     * @returns {string[][]} - Parsed rows (blank lines are skipped)
+     */
+    function parseCsv(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                // Allow a space before the opening quote, as in: Alice, "Smith, John"
+                inQuotes = true;
+                field = '';
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Checks that an imported group matches the {names, dateCreated, dateModified}
+     * shape and returns a cleaned-up copy
+     * @param {*} group - Group data read from a file
+     * @returns {?Object} - The validated group, or null if it is invalid
+     */
+    function validateImportedGroup(group) {
+        if (!group || typeof group !== 'object' || !Array.isArray(group.names)) {
+            return null;
+        }
+        const names = [];
+        for (const entry of group.names) {
+            const tag = normalizeTag(entry);
+            if (!tag) {
+                return null;
+            }
+            if (!names.some(t => t.name === tag.name)) {
+                names.push(tag);
+            }
+        }
+        if (names.length === 0) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const isValidDate = value => typeof value === 'string' && !isNaN(Date.parse(value));
+        if ((group.dateCreated !== undefined && !isValidDate(group.dateCreated)) ||
+            (group.dateModified !== undefined && !isValidDate(group.dateModified))) {
+            return null;
+        }
+        return {
+            names,
+            dateCreated: group.dateCreated || now,
+            dateModified: group.dateModified || group.dateCreated || now
+        };
+    }
+
+    /**
+     * Reads groups from the contents of an exported JSON or CSV file
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used to detect the format
+     * @returns {{groups: Object, invalid: string[]}} - Valid groups and names of rejected ones
+     */
+    function parseGroupsFile(text, fileName) {
+        const rawGroups = {};
+
+        if (/\.csv$/i.test(fileName)) {
+            const [header, ...rows] = parseCsv(text);
+            const columns = (header || []).map(column => column.trim().toLowerCase());
+            const groupCol = columns.indexOf('group');
+            const nameCol = columns.indexOf('name');
+            if (groupCol === -1 || nameCol === -1) {
+                throw new Error('CSV file needs "group" and "name" columns');
+            }
+            const weightCol = columns.indexOf('weight');
+            const colorCol = columns.indexOf('color');
+            const emojiCol = columns.indexOf('emoji');
+            const disabledCol = columns.indexOf('disabled');
+            const excludedOnCol = columns.indexOf('excludedon');
+            const createdCol = columns.indexOf('datecreated');
+            const modifiedCol = columns.indexOf('datemodified');
+
+            rows.forEach(row => {
+                const groupName = (row[groupCol] || '').trim();
+                if (!groupName) return;
+                if (!rawGroups[groupName]) {
+                    rawGroups[groupName] = {
+                        names: [],
+                        dateCreated: createdCol !== -1 && row[createdCol] ? row[createdCol].trim() : undefined,
+                        dateModified: modifiedCol !== -1 && row[modifiedCol] ? row[modifiedCol].trim() : undefined
+                    };
+                }
+                // Missing or empty columns are dropped by normalizeTag
+                rawGroups[groupName].names.push({
+                    name: row[nameCol] || '',
+                    weight: weightCol !== -1 && row[weightCol] ? row[weightCol] : 1,
+                    color: colorCol !== -1 ? (row[colorCol] || '').trim() : undefined,
+                    emoji: emojiCol !== -1 ? row[emojiCol] : undefined,
+                    disabled: disabledCol !== -1 && (row[disabledCol] || '').trim().toLowerCase() === 'true',
+                    excludedOn: excludedOnCol !== -1 ? (row[excludedOnCol] || '').trim() : undefined
+                });
+            });
+        } else {
+            const data = JSON.parse(text);
+            // Accept our export envelope as well as a bare copy of the saved groups object
+            const groups = data && data.format === GROUP_EXPORT_FORMAT ? data.groups : data;
+            if (!groups || typeof groups !== 'object' || Array.isArray(groups)) {
+                throw new Error('JSON file does not contain any groups');
+            }
+            Object.assign(rawGroups, groups);
+        }
+
+        const result = { groups: {}, invalid: [] };
+        Object.keys(rawGroups).forEach(groupName => {
+            const trimmedName = groupName.trim();
+            const group = trimmedName ? validateImportedGroup(rawGroups[groupName]) : null;
+            if (group) {
+                result.groups[trimmedName] = group;
+            } else {
+                result.invalid.push(groupName);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Adds imported groups to the saved groups
+     * @param {Object} groups - Validated groups to import
+     * @param {string} mode - 'merge' combines with existing groups, 'replace' discards them
+     * @returns {{added: number, merged: number}} - Import statistics
+     */
+    function importGroups(groups, mode) {
+        const savedGroups = mode === 'replace' ? {} : getSavedGroups();
+        const stats = { added: 0, merged: 0 };
+
+        Object.keys(groups).forEach(groupName => {
+            const imported = groups[groupName];
+            const existing = savedGroups[groupName];
+            if (!existing) {
+                savedGroups[groupName] = imported;
+                stats.added++;
+                return;
+            }
+            // Same name in both: keep every member once and the earliest creation date
+            const names = existing.names.map(normalizeTag).filter(Boolean);
+            imported.names.forEach(tag => {
+                if (!names.some(t => t.name === tag.name)) {
+                    names.push(tag);
+                }
+            });
+            savedGroups[groupName] = {
+                names,
+                dateCreated: Date.parse(existing.dateCreated) < Date.parse(imported.dateCreated)
+                    ? existing.dateCreated
+                    : imported.dateCreated,
+                dateModified: new Date().toISOString()
+            };
+            stats.merged++;
+        });
+
+        storeSavedGroups(savedGroups);
+        return stats;
+    }
+
+    /**
+     * Reads a dropped or picked file and imports the groups in it
+     * @param {File} file - The JSON or CSV file
+     */
+    async function handleGroupImportFile(file) {
+        let parsed;
+        try {
+            parsed = parseGroupsFile(await file.text(), file.name);
+        } catch (e) {
+            console.warn('Failed to import groups:', e);
+            alert(`Could not import "${file.name}": ${e.message}`);
+            return;
+        }
+
+        const count = Object.keys(parsed.groups).length;
+        if (count === 0) {
+            alert(`No valid groups found in "${file.name}"`);
+            return;
+        }
+
+        const mode = groupImportMode.value;
+        if (mode === 'replace' &&
+            !confirm(`Replace all saved groups with the ${count} group(s) in "${file.name}"?`)) {
+            return;
+        }
+
+        recordUndo('Imported groups', true);
+        const stats = importGroups(parsed.groups, mode);
+        updateGroupSelect();
+
+        let message = `Imported ${stats.added} new group(s)`;
+        if (stats.merged > 0) {
+            message += `, merged ${stats.merged} existing group(s)`;
+        }
+        if (parsed.invalid.length > 0) {
+            message += `. Skipped invalid group(s): ${parsed.invalid.join(', ')}`;
+        }
+        alert(message);
+    }
+
+    // ================================
+    // SPIN HISTORY FUNCTIONS
+    // ================================
+
+    /**
+     * Gets all recorded spins from localStorage
+     * @returns {Array} - Spin records, oldest first
+     */
+    function getSpinHistory() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEYS.SPIN_HISTORY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (e) {
+            console.warn('Error loading spin history:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Records the result of a spin in the history
+     * @param {string} winner - The name that won the spin (first place in a draw)
+     * @param {string[]} remaining - Names left on the wheel after the spin
+     * @param {Object} details - Extra fields: the fair spin proof, or the
+     *   ranked winners and proofs of a multi-winner draw
+     */
+    function recordSpinResult(winner, remaining, details = {}) {
+        const history = getSpinHistory();
+        history.push({
+            timestamp: new Date().toISOString(),
+            sessionId,
+            winner,
+            groupName: activeGroupName,
+            remaining: [...remaining],
+            ...details
+        });
+        saveSpinHistory(history.slice(-MAX_HISTORY_ENTRIES));
+        renderHistory();
+    }
+
+    /**
+     * Saves the spin history, dropping the oldest half of the entries
+     * whenever localStorage is full
+     * @param {Array} history - Spin records, oldest first
+     */
+    function saveSpinHistory(history) {
+        let entries = history;
+        while (entries.length > 0) {
+            try {
+                localStorage.setItem(STORAGE_KEYS.SPIN_HISTORY, JSON.stringify(entries));
+                return;
+            } catch (e) {
+                if (e.name !== 'QuotaExceededError') {
+                    console.warn('Error saving spin history:', e);
+                    return;
+                }
+                entries = entries.slice(Math.ceil(entries.length / 2));
+            }
+        }
+        console.warn('Spin history could not be saved: storage is full');
+    }
+
+    /**
+     * Gets the names left on the wheel after a recorded spin. Some records
+     * only kept how many were left.
+     * @param {Object} entry - Spin record
+     * @returns {{names: string[], count: number}}
+     */
+    function getRemainingEntries(entry) {
+        const names = entry.remaining || [];
+        return { names, count: entry.remainingCount ?? names.length };
+    }
+
+    /**
+     * Gets the spins shown for the selected history scope
+     * @returns {Array} - Spin records, oldest first
+     */
+    function getVisibleSpinHistory() {
+        const history = getSpinHistory();
+        if (historyScopeSelect.value === 'all') {
+            return history;
+        }
+        return history.filter(entry => entry.sessionId === sessionId);
+    }
+
+    /**
+     * Renders the history list, newest spin first
+     */
+    function renderHistory() {
+        const history = getVisibleSpinHistory();
+        historyList.replaceChildren();
+
+        if (history.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty';
+            empty.textContent = 'No spins recorded yet';
+            historyList.appendChild(empty);
+        }
+
+        history.slice().reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'history-entry';
+
+            const winner = document.createElement('span');
+            winner.className = 'history-winner';
+            winner.textContent = entry.winners
+                ? entry.winners.map((name, index) => `${formatOrdinal(index + 1)} ${name}`).join(', ')
+                : entry.winner;
+
+            const meta = document.createElement('span');
+            meta.className = 'history-meta';
+            const time = new Date(entry.timestamp).toLocaleString();
+            const group = entry.groupName ? ` · ${entry.groupName}` : '';
+            const remaining = getRemainingEntries(entry);
+            meta.textContent = `${time}${group} · ${remaining.count} left`;
+            meta.title = remaining.names.join(', ');
+
+            item.appendChild(winner);
+            item.appendChild(meta);
+            historyList.appendChild(item);
+        });
+
+        const hasEntries = history.length > 0;
+        exportHistoryCsvBtn.disabled = !hasEntries;
+        exportHistoryJsonBtn.disabled = !hasEntries;
+        clearHistoryBtn.disabled = getSpinHistory().length === 0;
+    }
+
+    /**
+     * Escapes a value for inclusion in a CSV file
+     * @param {*} value
+     * @returns {string}
+     */
+    function toCsvValue(value) {
+        const text = String(value ?? '');
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Starts a browser download of the given text content
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type of the file
+     */
+    function downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Exports the shown spin history as a CSV file
+     */
+    function exportHistoryCsv() {
+        const rows = [['timestamp', 'winner', 'group', 'remaining_count', 'remaining', 'placings']];
+        getVisibleSpinHistory().forEach(entry => {
+            const remaining = getRemainingEntries(entry);
+            rows.push([
+                entry.timestamp,
+                entry.winner,
+                entry.groupName,
+                remaining.count,
+                remaining.names.join('; '),
+                (entry.winners || []).join('; ')
+            ]);
+        });
+        const csv = rows.map(row => row.map(toCsvValue).join(',')).join('\r\n');
+        downloadFile(`spin-history-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv');
+    }
+
+    /**
+     * Exports the shown spin history as a JSON file
+     */
+    function exportHistoryJson() {
+        const json = JSON.stringify(getVisibleSpinHistory(), null, 2);
+        downloadFile(`spin-history-${new Date().toISOString().slice(0, 10)}.json`, json, 'application/json');
+    }
+
+    /**
+     * Applies the collapsed/expanded state to the history section
+     */
+    function applyHistoryState() {
+        historyControls.classList.toggle('collapsed', isHistoryCollapsed);
+        historyHeader.classList.toggle('collapsed', isHistoryCollapsed);
+        historyToggle.classList.toggle('expanded', !isHistoryCollapsed);
+        historyToggle.textContent = isHistoryCollapsed ? '▼' : '▲';
+        historyToggle.title = isHistoryCollapsed ? 'Expand spin history' : 'Collapse spin history';
+    }
+
+    /**
+     * Toggles the spin history section visibility
+     */
+    function toggleHistory() {
+        isHistoryCollapsed = !isHistoryCollapsed;
+        applyHistoryState();
+        localStorage.setItem('wheelGenerator_historyCollapsed', isHistoryCollapsed.toString());
+    }
+
+    /**
+     * Loads the spin history collapsed state from localStorage
+     */
+    function loadHistoryState() {
+        const savedState = localStorage.getItem('wheelGenerator_historyCollapsed');
+        if (savedState !== null) {
+            isHistoryCollapsed = savedState === 'true';
+        }
+        applyHistoryState();
+    }
+
+    // ================================
+    // FAIRNESS ROTATION FUNCTIONS
+    // ================================
+
+    // Recent picks kept per group; enough for the longest cooldown window
+    const MAX_ROTATION_RECENT = 50;
+
+    /**
+     * Gets the pick records of every group from localStorage. Names that are
+     * not from a saved group are kept under the empty group name.
+     * @returns {Object} - Map of group name to {people, recent, round}
+     */
+    function getRotationData() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEYS.ROTATION);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.warn('Error loading rotation data:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Writes the pick records of every group to localStorage
+     * @param {Object} rotation - Map of group name to {people, recent, round}
+     */
+    function storeRotationData(rotation) {
+        localStorage.setItem(STORAGE_KEYS.ROTATION, JSON.stringify(rotation));
+    }
+
+    /**
+     * Gets the pick records of the active group
+     * @returns {{people: Object, recent: string[], round: string[]}} - people
+     *   maps names to {count, lastPicked}; recent lists past winners, newest
+     *   last; round lists who has had a turn since everyone last had one
+     */
+    function getGroupRotation() {
+        const rotation = getRotationData()[activeGroupName];
+        return {
+            people: {},
+            recent: [],
+            round: [],
+            ...rotation
+        };
+    }
+
+    /**
+     * Records a pick for the active group. Once everyone on the wheel has had
+     * a turn, a new round starts.
+     * @param {string} name - The person who was picked
+     */
+    function recordRotationPick(name) {
+        const rotation = getRotationData();
+        const group = getGroupRotation();
+        const person = group.people[name] || { count: 0, lastPicked: null };
+        group.people[name] = { count: person.count + 1, lastPicked: new Date().toISOString() };
+        group.recent = [...group.recent, name].slice(-MAX_ROTATION_RECENT);
+
+        if (!group.round.includes(name)) {
+            group.round.push(name);
+        }
+        const wheelNames = (originalItems.length > 0 ? originalItems : currentItems).map(item => item.name);
+        if (wheelNames.every(wheelName => group.round.includes(wheelName))) {
+            group.round = [];
+        }
+
+        rotation[activeGroupName] = group;
+        storeRotationData(rotation);
+        renderRotation();
+    }
+
+    /**
+     * Works out how much of their usual chance a person keeps under the
+     * current rotation mode
+     * @param {Object} group - From getGroupRotation
+     * @param {string} name
+     * @returns {number} - 1 for full odds, down to 0 for skipped
+     */
+    function getRotationFactor(group, name) {
+        if (rotationMode === 'skip') {
+            return group.round.includes(name) ? 0 : 1;
+        }
+        if (rotationMode === 'cooldown') {
+            const index = group.recent.lastIndexOf(name);
+            const picksAgo = group.recent.length - index;
+            if (index !== -1 && picksAgo <= rotationCooldown) {
+                // The latest winner keeps the smallest share, recovering one step per pick
+                return picksAgo / (rotationCooldown + 1);
+            }
+        }
+        return 1;
+    }
+
+    /**
+     * Adjusts the wheel entries' weights for the rotation mode. Elimination
+     * spins pick who goes out, so recent winners are knocked out first there.
+     * @param {{name: string, weight: number}[]} items
+     * @returns {{name: string, weight: number}[]} - Copies with adjusted weights
+     */
+    function getRotationWeightedItems(items) {
+        if (rotationMode === 'off') {
+            return items;
+        }
+        const group = getGroupRotation();
+        const factors = items.map(item => getRotationFactor(group, item.name));
+
+        let weights;
+        if (spinMode === 'elimination') {
+            const skippedCount = factors.filter(factor => factor === 0).length;
+            weights = skippedCount > 0 && skippedCount < items.length
+                ? items.map((item, i) => (factors[i] === 0 ? item.weight : 0))
+                : items.map((item, i) => item.weight / (factors[i] || 1));
+        } else {
+            weights = items.map((item, i) => item.weight * factors[i]);
+            // Everyone left has had a turn; fall back to the usual odds
+            if (!weights.some(weight => weight > 0)) {
+                weights = items.map(item => item.weight);
+            }
+        }
+        return items.map((item, i) => ({ ...item, weight: weights[i] }));
+    }
+
+    /**
+     * Shows each person's pick count and when they were last picked, for
+     * everyone in the list plus anyone picked before
+     */
+    function renderRotation() {
+        const group = getGroupRotation();
+        rotationScope.textContent = activeGroupName ? `Group: ${activeGroupName}` : 'Names not from a saved group';
+
+        const names = [...new Set([...namesTags.map(tag => tag.name), ...Object.keys(group.people)])];
+        // People whose turn is longest overdue come first
+        const lastPicked = name => (group.people[name] ? group.people[name].lastPicked : '');
+        names.sort((a, b) => lastPicked(a).localeCompare(lastPicked(b)) || a.localeCompare(b));
+
+        rotationList.replaceChildren();
+        if (names.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty';
+            empty.textContent = 'No names yet';
+            rotationList.appendChild(empty);
+        }
+
+        names.forEach(name => {
+            const person = group.people[name];
+            const item = document.createElement('li');
+            item.className = 'rotation-entry';
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'rotation-name';
+            nameSpan.textContent = name;
+            item.appendChild(nameSpan);
+
+            const factor = getRotationFactor(group, name);
+            if (factor < 1) {
+                const status = document.createElement('span');
+                status.className = 'rotation-status';
+                status.textContent = factor === 0 ? 'had a turn' : 'cooling down';
+                item.appendChild(status);
+            }
+
+            const meta = document.createElement('span');
+            meta.className = 'history-meta';
+            const picks = person ? person.count : 0;
+            const date = person ? new Date(person.lastPicked).toLocaleDateString(undefined, { dateStyle: 'medium' }) : 'never';
+            meta.textContent = `${picks} ${picks === 1 ? 'pick' : 'picks'} · last ${date}`;
+            item.appendChild(meta);
+
+            rotationList.appendChild(item);
+        });
+
+        resetRotationBtn.disabled = Object.keys(group.people).length === 0;
+    }
+
+    /**
+     * Forgets the pick records of the active group
+     */
+    function resetRotation() {
+        const scope = activeGroupName ? `the "${activeGroupName}" group` : 'these names';
+        if (!confirm(`Forget every pick recorded for ${scope}?`)) {
+            return;
+        }
+        const rotation = getRotationData();
+        delete rotation[activeGroupName];
+        storeRotationData(rotation);
+        renderRotation();
+    }
+
+    /**
+     * Rotation mode preference functions
+     */
+    function setRotationMode(mode) {
+        rotationMode = mode;
+        rotationModeSelect.value = mode;
+        rotationCooldownInput.disabled = mode !== 'cooldown';
+        localStorage.setItem('wheelGenerator_rotationMode', mode);
+        renderRotation();
+        updatePhysicsAvailability();
+    }
+
+    function setRotationCooldown(value) {
+        rotationCooldown = Math.min(Math.max(Math.floor(Number(value)) || 1, 1), MAX_ROTATION_RECENT);
+        rotationCooldownInput.value = rotationCooldown;
+        localStorage.setItem('wheelGenerator_rotationCooldown', rotationCooldown.toString());
+        renderRotation();
+    }
+
+    function loadRotationPreferences() {
+        const savedCooldown = localStorage.getItem('wheelGenerator_rotationCooldown');
+        if (savedCooldown !== null) {
+            rotationCooldown = Number(savedCooldown) || rotationCooldown;
+        }
+        rotationCooldownInput.value = rotationCooldown;
+
+        const savedMode = localStorage.getItem('wheelGenerator_rotationMode');
+        setRotationMode(['off', 'cooldown', 'skip'].includes(savedMode) ? savedMode : 'off');
+    }
+
+    /**
+     * Applies the collapsed/expanded state to the rotation section
+     */
+    function applyRotationState() {
+        rotationControls.classList.toggle('collapsed', isRotationCollapsed);
+        rotationHeader.classList.toggle('collapsed', isRotationCollapsed);
+        rotationToggle.classList.toggle('expanded', !isRotationCollapsed);
+        rotationToggle.textContent = isRotationCollapsed ? '▼' : '▲';
+        rotationToggle.title = isRotationCollapsed ? 'Expand fair rotation' : 'Collapse fair rotation';
+    }
+
+    /**
+     * Toggles the rotation section visibility
+     */
+    function toggleRotation() {
+        isRotationCollapsed = !isRotationCollapsed;
+        applyRotationState();
+        localStorage.setItem('wheelGenerator_rotationCollapsed', isRotationCollapsed.toString());
+    }
+
+    /**
+     * Loads the rotation section collapsed state from localStorage
+     */
+    function loadRotationState() {
+        const savedState = localStorage.getItem('wheelGenerator_rotationCollapsed');
+        if (savedState !== null) {
+            isRotationCollapsed = savedState === 'true';
+        }
+        applyRotationState();
+    }
+
+    // ================================
+    // TEAM GENERATOR FUNCTIONS
+    // ================================
+
+    // Time between names appearing in the team reveal (ms)
+    const TEAM_REVEAL_STEP = 150;
+
+    // Attempts at placing everyone before giving up on the constraints
+    const MAX_TEAM_ATTEMPTS = 200;
+
+    /**
+     * Parses constraint rules: one rule per line, names separated by commas.
+     * A name containing a comma is written in quotes, as in: Ann, "Smith, Jo".
+     * Names that are not in the current list are ignored.
+     * @param {string} text - The rules as typed
+     * @param {string[]} names - Names in the current list
+     * @returns {string[][]} - Rules with at least two known names
+     */
+    function parseTeamRules(text, names) {
+        return parseCsv(text)
+            .map(row => row.map(name => name.trim()).filter(name => names.includes(name)))
+            .map(rule => [...new Set(rule)])
+            .filter(rule => rule.length >= 2);
+    }
+
+    /**
+     * Works out how many people each team gets. Sizes differ by at most one.
+     * @param {number} count - Number of people
+     * @param {string} mode - 'teams' (value is the number of teams), 'size'
+     *   (value is the team size) or 'pairs'
+     * @param {number} value
+     * @returns {number[]} - Capacity of each team
+     */
+    function getTeamCapacities(count, mode, value) {
+        let teamCount;
+        if (mode === 'pairs') {
+            // An odd one out joins a pair to make a three
+            teamCount = Math.floor(count / 2);
+        } else if (mode === 'size') {
+            teamCount = Math.ceil(count / value);
+        } else {
+            teamCount = value;
+        }
+        teamCount = Math.min(Math.max(teamCount, 1), count);
+
+        const baseSize = Math.floor(count / teamCount);
+        return Array.from({ length: teamCount }, (_, i) => baseSize + (i < count % teamCount ? 1 : 0));
+    }
+
+    /**
+     * Randomly splits names into teams. People in a "keep together" rule
+     * always share a team; people in a "keep apart" rule never do.
+     * @param {string[]} names - Everyone to place
+     * @param {number[]} capacities - From getTeamCapacities
+     * @param {string[][]} together - Keep-together rules
+     * @param {string[][]} apart - Keep-apart rules
+     * @returns {?string[][]} - The teams, or null if the rules cannot be met
+     */
+    function makeTeams(names, capacities, together, apart) {
+        const clusters = getTeamClusters(names, together);
+        const conflicts = getTeamConflicts(names, apart);
+        if (findContradictoryRule(clusters, conflicts)) {
+            return null;
+        }
+
+        for (let attempt = 0; attempt < MAX_TEAM_ATTEMPTS; attempt++) {
+            const teams = capacities.map(() => []);
+            // Shuffle, then place the biggest clusters first while there is most room
+            const order = clusters.slice();
+            shuffleArray(order);
+            order.sort((a, b) => b.length - a.length);
+
+            const placedAll = order.every(cluster => {
+                const options = teams
+                    .map((team, index) => index)
+                    .filter(index => teams[index].length + cluster.length <= capacities[index] &&
+                        !teams[index].some(member => cluster.some(name => conflicts.get(name).has(member))));
+                if (options.length === 0) {
+                    return false;
+                }
+                shuffleArray(options);
+                teams[options[0]].push(...cluster);
+                return true;
+            });
+
+            if (placedAll) {
+                teams.forEach(team => shuffleArray(team));
+                return teams;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Merges overlapping keep-together rules into clusters that move as one
+     * @param {string[]} names - Everyone to place
+     * @param {string[][]} together - Keep-together rules
+     * @returns {string[][]} - Clusters; people without a rule are on their own
+     */
+    function getTeamClusters(names, together) {
+        const clusterOf = new Map(names.map(name => [name, [name]]));
+        together.forEach(rule => {
+            const merged = [...new Set(rule.flatMap(name => clusterOf.get(name)))];
+            merged.forEach(name => clusterOf.set(name, merged));
+        });
+        return [...new Set(clusterOf.values())];
+    }
+
+    /**
+     * Lists who each person must be kept apart from
+     * @param {string[]} names - Everyone to place
+     * @param {string[][]} apart - Keep-apart rules
+     * @returns {Map<string, Set<string>>}
+     */
+    function getTeamConflicts(names, apart) {
+        const conflicts = new Map(names.map(name => [name, new Set()]));
+        apart.forEach(rule => {
+            rule.forEach(name => rule.forEach(other => {
+                if (other !== name) conflicts.get(name).add(other);
+            }));
+        });
+        return conflicts;
+    }
+
+    /**
+     * Finds two people who must share a team (possibly through other
+     * keep-together rules) but are also to be kept apart
+     * @param {string[][]} clusters - From getTeamClusters
+     * @param {Map<string, Set<string>>} conflicts - From getTeamConflicts
+     * @returns {?string[]} - The two names, or null if the rules agree
+     */
+    function findContradictoryRule(clusters, conflicts) {
+        for (const cluster of clusters) {
+            for (const name of cluster) {
+                const other = cluster.find(member => conflicts.get(name).has(member));
+                if (other) {
+                    return [name, other];
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Splits the current names into teams using the generator settings and
+     * reveals the result
+     */
+    function generateTeams() {
+        const names = getCurrentTags().map(tag => tag.name);
+        if (names.length < 2) {
+            alert('Please add at least two names to make teams');
+            return;
+        }
+
+        const value = Math.max(1, Math.floor(Number(teamSplitValue.value)) || 1);
+        const capacities = getTeamCapacities(names.length, teamSplitMode.value, value);
+        const together = parseTeamRules(keepTogetherInput.value, names);
+        const apart = parseTeamRules(keepApartInput.value, names);
+
+        const contradiction = findContradictoryRule(getTeamClusters(names, together), getTeamConflicts(names, apart));
+        if (contradiction) {
+            alert(`"${contradiction[0]}" and "${contradiction[1]}" have to be kept together and kept apart. Remove one of those rules.`);
+            return;
+        }
+
+        const teams = makeTeams(names, capacities, together, apart);
+        if (!teams) {
+            alert('Could not find teams that satisfy the keep together / keep apart rules. Try fewer rules or a different number of teams.');
+            return;
+        }
+
+        currentTeams = teams;
+        renderTeamResults();
+        revealTeams(teams);
+        announce(`Made ${teams.length} teams. ${formatTeamsText(teams).replace(/\n/g, '. ')}`);
+    }
+
+    /**
+     * Formats teams as plain text, one team per line
+     * @param {string[][]} teams
+     * @returns {string}
+     */
+    function formatTeamsText(teams) {
+        return teams.map((team, index) => `Team ${index + 1}: ${team.join(', ')}`).join('\n');
+    }
+
+    /**
+     * Lists the last teams below the generator settings
+     */
+    function renderTeamResults() {
+        teamResults.replaceChildren();
+        currentTeams.forEach((team, index) => {
+            const item = document.createElement('li');
+            item.className = 'team-entry';
+
+            const title = document.createElement('span');
+            title.className = 'team-title';
+            title.textContent = `Team ${index + 1}`;
+
+            const members = document.createElement('span');
+            members.className = 'team-members';
+            members.textContent = team.join(', ');
+
+            item.appendChild(title);
+            item.appendChild(members);
+            teamResults.appendChild(item);
+        });
+
+        const hasTeams = currentTeams.length > 0;
+        copyTeamsBtn.disabled = !hasTeams;
+        exportTeamsBtn.disabled = !hasTeams;
+    }
+
+    /**
+     * Stops a team reveal that is still animating
+     */
+    function cancelTeamReveal() {
+        if (teamRevealFrame !== null) {
+            cancelAnimationFrame(teamRevealFrame);
+            teamRevealFrame = null;
+        }
+    }
+
+    /**
+     * Animates the teams onto the canvas: one box per team, with names
+     * dealt out to the teams in turn and fading in
+     * @param {string[][]} teams
+     */
+    function revealTeams(teams) {
+        cancelTeamReveal();
+        overlayResult.style.display = 'none';
+        isShowingTeams = true;
+        canvas.title = '';
+        describeTeams(teams);
+
+        const palette = getWheelColorPalette();
+        const textColor = getWheelTextColor();
+        const cw = canvas.width;
+        const ch = canvas.height;
+        const padding = 12;
+        const columns = Math.min(teams.length, 4);
+        const rows = Math.ceil(teams.length / columns);
+        const boxWidth = (cw - padding * (columns + 1)) / columns;
+        const boxHeight = (ch - padding * (rows + 1)) / rows;
+        const headerHeight = Math.min(30, boxHeight * 0.25);
+        const largestTeam = Math.max(...teams.map(team => team.length));
+        const rowHeight = Math.min(24, (boxHeight - headerHeight - 6) / largestTeam);
+
+        // Deal names out in turn: first member of each team, then the second...
+        const dealOrder = [];
+        for (let member = 0; member < largestTeam; member++) {
+            teams.forEach((team, teamIndex) => {
+                if (member < team.length) dealOrder.push({ teamIndex, member });
+            });
+        }
+
+        const startTime = performance.now();
+        function draw(now) {
+            const elapsed = now - startTime;
+            ctx.clearRect(0, 0, cw, ch);
+            teams.forEach((team, teamIndex) => {
+                const boxX = padding + (teamIndex % columns) * (boxWidth + padding);
+                const boxY = padding + Math.floor(teamIndex / columns) * (boxHeight + padding);
+                const color = palette[teamIndex % palette.length];
+
+                ctx.save();
+                ctx.fillStyle = color;
+                ctx.fillRect(boxX, boxY, boxWidth, headerHeight);
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = getLabelColor(color, textColor);
+                drawLabelLines(layoutLabel(`Team ${teamIndex + 1}`, boxWidth - 2 * LABEL_PADDING, headerHeight, 18),
+                    boxX + boxWidth / 2, boxY + headerHeight / 2);
+                ctx.restore();
+            });
+
+            dealOrder.forEach(({ teamIndex, member }, step) => {
+                const shownFor = elapsed - step * TEAM_REVEAL_STEP;
+                if (shownFor <= 0) return;
+                const boxX = padding + (teamIndex % columns) * (boxWidth + padding);
+                const boxY = padding + Math.floor(teamIndex / columns) * (boxHeight + padding);
+
+                ctx.save();
+                ctx.globalAlpha = Math.min(shownFor / TEAM_REVEAL_STEP, 1);
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-primary').trim();
+                const label = layoutLabel(teams[teamIndex][member], boxWidth - 2 * LABEL_PADDING, rowHeight, Math.min(16, rowHeight * 0.75));
+                drawLabelLines(label, boxX + boxWidth / 2, boxY + headerHeight + 3 + (member + 0.5) * rowHeight);
+                ctx.restore();
+            });
+
+            if (elapsed < (dealOrder.length + 1) * TEAM_REVEAL_STEP) {
+                teamRevealFrame = requestAnimationFrame(draw);
+            } else {
+                teamRevealFrame = null;
+            }
+        }
+        teamRevealFrame = requestAnimationFrame(draw);
+    }
+
+    /**
+     * Updates the canvas text alternative while it shows teams instead of the wheel
+     * @param {string[][]} teams
+     */
+    function describeTeams(teams) {
+        canvas.setAttribute('aria-label', `${teams.length} teams`);
+        wheelDescription.replaceChildren();
+        teams.forEach((team, index) => {
+            const item = document.createElement('li');
+            item.textContent = `Team ${index + 1}: ${team.join(', ')}`;
+            wheelDescription.appendChild(item);
+        });
+    }
+
+    /**
+     * Copies the last teams to the clipboard as text
+     */
+    async function copyTeams() {
+        const text = formatTeamsText(currentTeams);
+        try {
+            await navigator.clipboard.writeText(text);
+            alert('Teams copied to clipboard!');
+        } catch (e) {
+            // Clipboard access can be blocked (e.g. on non-HTTPS pages); let the user copy it
+            prompt('Copy these teams:', text);
+        }
+    }
+
+    /**
+     * Exports the last teams as a CSV file with one row per person
+     */
+    function exportTeamsCsv() {
+        const rows = [['team', 'name']];
+        currentTeams.forEach((team, index) => {
+            team.forEach(name => rows.push([`Team ${index + 1}`, name]));
+        });
+        const csv = rows.map(row => row.map(toCsvValue).join(',')).join('\r\n');
+        downloadFile(`teams-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv');
+    }
+
+    /**
+     * Saves the team generator settings and rules to localStorage
+     */
+    function saveTeamSettings() {
+        localStorage.setItem('wheelGenerator_teamSettings', JSON.stringify({
+            mode: teamSplitMode.value,
+            value: teamSplitValue.value,
+            together: keepTogetherInput.value,
+            apart: keepApartInput.value
+        }));
+    }
+
+    /**
+     * Loads the team generator settings and rules from localStorage
+     */
+    function loadTeamSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('wheelGenerator_teamSettings'));
+            if (saved) {
+                teamSplitMode.value = saved.mode;
+                teamSplitValue.value = saved.value;
+                keepTogetherInput.value = saved.together;
+                keepApartInput.value = saved.apart;
+            }
+        } catch (e) {
+            console.warn('Failed to load team settings:', e);
+        }
+        teamSplitValue.disabled = teamSplitMode.value === 'pairs';
+        renderTeamResults();
+    }
+
+    /**
+     * Applies the collapsed/expanded state to the team generator section
+     */
+    function applyTeamsState() {
+        teamControls.classList.toggle('collapsed', isTeamsCollapsed);
+        teamHeader.classList.toggle('collapsed', isTeamsCollapsed);
+        teamToggle.classList.toggle('expanded', !isTeamsCollapsed);
+        teamToggle.textContent = isTeamsCollapsed ? '▼' : '▲';
+        teamToggle.title = isTeamsCollapsed ? 'Expand team generator' : 'Collapse team generator';
+    }
+
+    /**
+     * Toggles the team generator section visibility
+     */
+    function toggleTeams() {
+        isTeamsCollapsed = !isTeamsCollapsed;
+        applyTeamsState();
+        localStorage.setItem('wheelGenerator_teamsCollapsed', isTeamsCollapsed.toString());
+    }
+
+    /**
+     * Loads the team generator collapsed state from localStorage
+     */
+    function loadTeamsState() {
+        const savedState = localStorage.getItem('wheelGenerator_teamsCollapsed');
+        if (savedState !== null) {
+            isTeamsCollapsed = savedState === 'true';
+        }
+        applyTeamsState();
+    }
+
+    // ================================
+    // SPIN SETTINGS FUNCTIONS
+    // ================================
+
+    // Limits of the spin settings sliders
+    const MIN_SPIN_DURATION = 1000;
+    const MAX_SPIN_DURATION = 15000;
+    const MIN_SPIN_ROTATIONS = 1;
+    const MAX_SPIN_ROTATIONS = 12;
+
+    // How far a randomised duration may stray from the chosen one (±25%)
+    const RANDOM_DURATION_SPREAD = 0.25;
+
+    /**
+     * Easing curves for the spin animation. Each maps progress in [0, 1] to
+     * the share of the distance covered, ending at exactly 1.
+     */
+    const SPIN_EASINGS = {
+        cubic: p => 1 - Math.pow(1 - p, 3),
+        quintic: p => 1 - Math.pow(1 - p, 5),
+        // Runs slightly past the winner, then settles back onto it
+        back: p => {
+            const overshoot = 1.70158;
+            return 1 + (overshoot + 1) * Math.pow(p - 1, 3) + overshoot * Math.pow(p - 1, 2);
+        },
+        // Hits the winner and bounces a few times against the pointer
+        bounce: p => {
+            const n = 7.5625;
+            const d = 2.75;
+            if (p < 1 / d) return n * p * p;
+            if (p < 2 / d) return n * (p -= 1.5 / d) * p + 0.75;
+            if (p < 2.5 / d) return n * (p -= 2.25 / d) * p + 0.9375;
+            return n * (p -= 2.625 / d) * p + 0.984375;
+        },
+        // Nearly stops short, then creeps the last few percent onto the winner
+        nearMiss: p => {
+            const creepStart = 0.7;
+            const creepShare = 0.03;
+            if (p < creepStart) {
+                return (1 - creepShare) * (1 - Math.pow(1 - p / creepStart, 4));
+            }
+            return 1 - creepShare + creepShare * (1 - Math.pow(1 - (p - creepStart) / (1 - creepStart), 2));
+        }
+    };
+
+    /**
+     * Gets the duration of the next spin, varied at random when enabled
+     * @returns {number} - Milliseconds
+     */
+    function getSpinDuration() {
+        if (!randomDuration) {
+            return spinDuration;
+        }
+        return spinDuration * (1 + (Math.random() * 2 - 1) * RANDOM_DURATION_SPREAD);
+    }
+
+    /**
+     * Spin settings preference functions
+     */
+    function setSpinDuration(duration) {
+        spinDuration = Math.min(Math.max(Number(duration) || 4000, MIN_SPIN_DURATION), MAX_SPIN_DURATION);
+        spinDurationInput.value = spinDuration / 1000;
+        spinDurationValue.textContent = `${spinDuration / 1000} s`;
+        localStorage.setItem('wheelGenerator_spinDuration', spinDuration.toString());
+    }
+
+    function setSpinRotations(rotations) {
+        spinRotations = Math.min(Math.max(Math.round(Number(rotations)) || 3, MIN_SPIN_ROTATIONS), MAX_SPIN_ROTATIONS);
+        spinRotationsInput.value = spinRotations;
+        spinRotationsValue.textContent = spinRotations;
+        localStorage.setItem('wheelGenerator_spinRotations', spinRotations.toString());
+    }
+
+    function setSpinEasing(easing) {
+        spinEasing = easing in SPIN_EASINGS ? easing : 'cubic';
+        spinEasingSelect.value = spinEasing;
+        localStorage.setItem('wheelGenerator_spinEasing', spinEasing);
+    }
+
+    function setRandomDuration(enabled) {
+        randomDuration = enabled;
+        randomDurationToggle.checked = enabled;
+        localStorage.setItem('wheelGenerator_randomDuration', enabled.toString());
+    }
+
+    function loadSpinSettings() {
+        setSpinDuration(localStorage.getItem('wheelGenerator_spinDuration') || spinDuration);
+        setSpinRotations(localStorage.getItem('wheelGenerator_spinRotations') || spinRotations);
+        setSpinEasing(localStorage.getItem('wheelGenerator_spinEasing') || spinEasing);
+        setRandomDuration(localStorage.getItem('wheelGenerator_randomDuration') === 'true');
+    }
+
+    /**
+     * Applies the collapsed/expanded state to the spin settings section
+     */
+    function applySpinSettingsState() {
+        spinSettingsControls.classList.toggle('collapsed', isSpinSettingsCollapsed);
+        spinSettingsHeader.classList.toggle('collapsed', isSpinSettingsCollapsed);
+        spinSettingsToggle.classList.toggle('expanded', !isSpinSettingsCollapsed);
+        spinSettingsToggle.textContent = isSpinSettingsCollapsed ? '▼' : '▲';
+        spinSettingsToggle.title = isSpinSettingsCollapsed ? 'Expand spin settings' : 'Collapse spin settings';
+    }
+
+    /**
+     * Toggles the spin settings section visibility
+     */
+    function toggleSpinSettings() {
+        isSpinSettingsCollapsed = !isSpinSettingsCollapsed;
+        applySpinSettingsState();
+        localStorage.setItem('wheelGenerator_spinSettingsCollapsed', isSpinSettingsCollapsed.toString());
+    }
+
+    /**
+     * Loads the spin settings collapsed state from localStorage
+     */
+    function loadSpinSettingsState() {
+        const savedState = localStorage.getItem('wheelGenerator_spinSettingsCollapsed');
+        if (savedState !== null) {
+            isSpinSettingsCollapsed = savedState === 'true';
+        }
+        applySpinSettingsState();
+    }
+
+    // ================================
+    // UNDO/REDO FUNCTIONS
+    // ================================
+
+    // Most undo steps kept; older ones are dropped
+    const UNDO_LIMIT = 50;
+
+    // How long the undo toast stays up (ms)
+    const UNDO_TOAST_DURATION = 6000;
+
+    /**
+     * Captures everything an undo step can bring back: the names, the wheel,
+     * the saved groups and their pick counts
+     * @returns {Object}
+     */
+    function captureUndoState() {
+        return {
+            namesTags: namesTags.map(tag => ({ ...tag })),
+            currentItems: currentItems.map(item => ({ ...item })),
+            originalItems: originalItems.map(item => ({ ...item })),
+            activeGroupName,
+            savedGroups: localStorage.getItem(STORAGE_KEYS.SAVED_GROUPS),
+            rotation: getRotationData()
+        };
+    }
+
+    /**
+     * Remembers the current state before a change so it can be undone.
+     * Only the first call in a task is kept, so an action that reuses
+     * other actions (e.g. loading a group regenerates the wheel) is one step.
+     * @param {string} description - What the change does, e.g. 'Cleared all names'
+     * @param {boolean} showToast - Whether to offer an Undo button right away
+     */
+    function recordUndo(description, showToast = false) {
+        if (isRecordingUndo) {
+            return;
+        }
+        isRecordingUndo = true;
+        queueMicrotask(() => {
+            isRecordingUndo = false;
+        });
+
+        undoStack.push({ description, state: captureUndoState() });
+        if (undoStack.length > UNDO_LIMIT) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        if (showToast) {
+            showUndoToast(description, 'Undo', undo);
+        } else {
+            hideUndoToast();
+        }
+    }
+
+    /**
+     * Puts back a state from captureUndoState
+     * @param {Object} state
+     */
+    function restoreUndoState(state) {
+        cancelAutoSpin();
+        overlayResult.style.display = 'none';
+
+        namesTags = state.namesTags.map(tag => ({ ...tag }));
+        renderTags();
+        saveTagsToStorage();
+
+        currentItems = state.currentItems.map(item => ({ ...item }));
+        originalItems = state.originalItems.map(item => ({ ...item }));
+        currentOffset = 0;
+        currentAngle = 0;
+        selectedIndex = null;
+        lastTickIndex = -1;
+        clearWheelState();
+        saveWheelState();
+        renderWheel();
+
+        if (state.savedGroups === null) {
+            localStorage.removeItem(STORAGE_KEYS.SAVED_GROUPS);
+        } else {
+            localStorage.setItem(STORAGE_KEYS.SAVED_GROUPS, state.savedGroups);
+        }
+
+        // Picks stay recorded, like the spin history: undoing a spin puts the
+        // entry back on the wheel without forgetting the pick. Only the counts
+        // of a group this step brings back (after a delete or rename) return.
+        const rotation = getRotationData();
+        const restoredGroups = Object.keys(state.rotation).filter(name => !(name in rotation));
+        if (restoredGroups.length > 0) {
+            restoredGroups.forEach(name => {
+                rotation[name] = state.rotation[name];
+            });
+            storeRotationData(rotation);
+        }
+        setActiveGroup(state.activeGroupName);
+        updateGroupSelect();
+    }
+
+    /**
+     * Undoes the last recorded change
+     */
+    function undo() {
+        if (isSpinning || undoStack.length === 0) {
+            return;
+        }
+        const step = undoStack.pop();
+        redoStack.push({ description: step.description, state: captureUndoState() });
+        restoreUndoState(step.state);
+        showUndoToast(`Undone: ${step.description}`, 'Redo', redo);
+        announce(`Undone: ${step.description}`);
+    }
+
+    /**
+     * Redoes the last undone change
+     */
+    function redo() {
+        if (isSpinning || redoStack.length === 0) {
+            return;
+        }
+        const step = redoStack.pop();
+        undoStack.push({ description: step.description, state: captureUndoState() });
+        restoreUndoState(step.state);
+        showUndoToast(`Redone: ${step.description}`, 'Undo', undo);
+        announce(`Redone: ${step.description}`);
+    }
+
+    /**
+     * Shows a short-lived message with a button, e.g. Undo after a destructive action
+     * @param {string} message
+     * @param {string} actionLabel - Button text
+     * @param {function(): void} action - Run when the button is clicked
+     */
+    function showUndoToast(message, actionLabel, action) {
+        clearTimeout(undoToastTimer);
+        undoToastMessage.textContent = message;
+        undoToastBtn.textContent = actionLabel;
+        undoToastAction = action;
+        undoToast.hidden = false;
+        undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_DURATION);
+    }
+
+    /**
+     * Hides the undo toast
+     */
+    function hideUndoToast() {
+        clearTimeout(undoToastTimer);
+        undoToast.hidden = true;
+        undoToastAction = null;
+    }
+
+    /**
+     * Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes. Text fields keep their
+     * own undo.
+     * @param {KeyboardEvent} e
+     */
+    function handleUndoKey(e) {
+        if (runnerGameActive || !(e.ctrlKey || e.metaKey) || e.altKey) {
+            return;
+        }
+        const target = e.target;
+        if (target instanceof Element &&
+            (target.isContentEditable || target.matches('textarea, input[type="text"], input[type="number"]'))) {
+            return;
+        }
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            redo();
+        }
+    }
+
+    // Load saved data on page load
+    loadExclusionsExpirePreference();
+    loadTagsFromStorage();
+    loadWheelState();
+    loadMutePreference();
+    loadCustomSounds();
+    loadSoundPreference();
+    loadSoundPackPreference();
+    loadSoundState();
+    loadThemePreference();
+    loadSpinModePreference();
+    loadDrawCountPreference();
+    loadColorByGroupPreference();
+    loadWheelViewPreference();
+    loadFairModePreference();
+    loadPhysicsSpinPreference();
+    loadSpinSettings();
+    loadSpinSettingsState();
+    loadCelebrationSettings();
+    loadGroupManagementState();
+    loadHistoryState();
+    loadTeamsState();
+    loadTeamSettings();
+    loadRotationState();
+    loadActiveGroup();
+    loadRotationPreferences();
+    loadWheelFromUrl();
+
+    /**
+     * Add a new tag to the display. A trailing weight such as "Alice x3"
+     * sets the tag's weight; re-adding an existing name with an explicit
+     * weight updates that tag instead of creating a duplicate.
+     * @param {string} tagText - The text for the tag
+     */
+    function addTag(tagText) {
+        const tag = parseTagText(tagText);
+        if (!tag) {
+            return; // Don't add empty tags
+        }
+
+        const existing = namesTags.find(t => t.name === tag.name);
+        if (existing) {
+            if (!tag.hasExplicitWeight || existing.weight === tag.weight) {
+                return; // Don't add duplicate tags
+            }
+            recordUndo(`Changed the weight of "${tag.name}"`);
+            existing.weight = tag.weight;
+        } else {
+            recordUndo(`Added "${tag.name}"`);
+            namesTags.push({ name: tag.name, weight: tag.weight });
+            clearEditedGroup();
+        }
+        renderTags();
+        saveTagsToStorage();
+    }
+
+    /**
+     * Parse the text for a single tag, extracting an optional trailing weight
+     * written as "x3", "×3" or "*3".
+     * @param {string} tagText
+     * @returns {?{name: string, weight: number, hasExplicitWeight: boolean}}
+     */
+    function parseTagText(tagText) {
+        const trimmedText = String(tagText).trim();
+        if (trimmedText === '') {
+            return null;
+        }
+        const match = trimmedText.match(/^(.+?)\s+[x×*]\s*(\d+(?:\.\d+)?)$/i);
+        if (match) {
+            const weight = parseFloat(match[2]);
+            if (weight > 0) {
+                return { name: match[1].trim(), weight, hasExplicitWeight: true };
+            }
+        }
+        return { name: trimmedText, weight: 1, hasExplicitWeight: false };
+    }
+
+    /**
+     * Convert a stored entry (a plain string from older versions, or a tag
+     * object) into a {name, weight} tag. Optional metadata (color, emoji,
+     * disabled and the excludedOn date) is kept when valid and dropped when empty.
+     * @param {string|Object} entry
+     * @returns {?{name: string, weight: number}}
+     */
+    function normalizeTag(entry) {
+        if (typeof entry === 'string') {
+            const name = entry.trim();
+            return name ? { name, weight: 1 } : null;
+        }
+        if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+            return null;
+        }
+        const weight = Number(entry.weight);
+        const tag = {
+            ...entry,
+            name: entry.name.trim(),
+            weight: Number.isFinite(weight) && weight > 0 ? weight : 1
+        };
+        if (typeof tag.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(tag.color)) {
+            delete tag.color;
+        }
+        if (typeof tag.emoji === 'string' && tag.emoji.trim() !== '') {
+            tag.emoji = tag.emoji.trim();
+        } else {
+            delete tag.emoji;
+        }
+        if (tag.disabled !== true) {
+            delete tag.disabled;
+        }
+        if (!tag.disabled || typeof tag.excludedOn !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(tag.excludedOn)) {
+            delete tag.excludedOn;
+        }
+        return tag;
+    }
+
+    /**
+     * Formats a tag the way it is typed into the tag input, e.g. "Alice x3"
+     * @param {{name: string, weight: number}} tag
+     * @returns {string}
+     */
+    function formatTagText(tag) {
+        return tag.weight === 1 ? tag.name : `${tag.name} x${tag.weight}`;
+    }
+
+    /**
+     * Changes a tag's name, weight or metadata. Empty metadata values
+     * (e.g. color: '') remove that field.
+     * @param {number} index - Index of the tag to change
+     * @param {Object} changes - Fields to set on the tag
+     * @returns {boolean} - False if the tag is missing or the new name is taken
+     */
+    function updateTag(index, changes) {
+        if (!namesTags[index]) {
+            return false;
+        }
+        const tag = normalizeTag({ ...namesTags[index], ...changes });
+        if (!tag) {
+            return false;
+        }
+        if (namesTags.some((other, i) => i !== index && other.name === tag.name)) {
+            alert(`"${tag.name}" is already on the list.`);
+            return false;
+        }
+        recordUndo(`Edited "${namesTags[index].name}"`);
+        if (tag.name !== namesTags[index].name) {
+            clearEditedGroup();
+        }
+        namesTags[index] = tag;
+        renderTags();
+        saveTagsToStorage();
+        return true;
+    }
+
+    /**
+     * Moves a tag to a new position in the list
+     * @param {number} fromIndex
+     * @param {number} toIndex
+     */
+    function moveTag(fromIndex, toIndex) {
+        if (fromIndex === toIndex || toIndex < 0 || toIndex >= namesTags.length) {
+            return;
+        }
+        recordUndo(`Moved "${namesTags[fromIndex].name}"`);
+        const [tag] = namesTags.splice(fromIndex, 1);
+        namesTags.splice(toIndex, 0, tag);
+        renderTags();
+        saveTagsToStorage();
+    }
+
+    /**
+     * Swaps a tag's text for an input so it can be renamed in place.
+     * Enter or leaving the field saves, Escape cancels. The "x3" weight
+     * syntax works here too.
+     * @param {number} index - Index of the tag to rename
+     */
+    function startTagRename(index) {
+        const tagElement = tagsDisplay.querySelector(`.tag[data-index="${index}"]`);
+        if (!tagElement) {
+            return;
+        }
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'tag-rename-input';
+        input.value = formatTagText(namesTags[index]);
+        input.setAttribute('aria-label', `Rename ${namesTags[index].name}`);
+
+        let finished = false;
+        const finish = save => {
+            if (finished) return;
+            finished = true;
+            const tag = parseTagText(input.value);
+            if (!save || !tag || !updateTag(index, { name: tag.name, weight: tag.weight })) {
+                renderTags();
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        // Text in a draggable element can't be selected with the mouse
+        tagElement.draggable = false;
+        tagElement.querySelector('.tag-text').replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Opens the editor for a tag's name, emoji, weight, colour and
+     * whether it is sitting out
+     * @param {number} index - Index of the tag to edit
+     */
+    function openTagEditor(index) {
+        const tag = namesTags[index];
+        if (!tag) return;
+        editingTag = tag;
+        tagEditName.value = tag.name;
+        tagEditEmoji.value = tag.emoji || '';
+        tagEditWeight.value = tag.weight;
+        tagEditUseColor.checked = Boolean(tag.color);
+        tagEditColor.value = tag.color || '#e67e22';
+        tagEditDisabled.checked = Boolean(tag.disabled);
+        tagEditor.hidden = false;
+        tagEditName.focus();
+    }
+
+    /**
+     * Closes the tag editor without saving
+     */
+    function closeTagEditor() {
+        editingTag = null;
+        tagEditor.hidden = true;
+    }
+
+    /**
+     * Applies the tag editor's fields to the tag being edited
+     */
+    function saveTagEditor() {
+        // The tag may have moved or been removed while the editor was open
+        const index = namesTags.indexOf(editingTag);
+        if (index === -1) {
+            closeTagEditor();
+            return;
+        }
+        const name = tagEditName.value.trim();
+        const weight = Number(tagEditWeight.value);
+        if (!name) {
+            alert('Please enter a name.');
+            return;
+        }
+        if (!(weight > 0)) {
+            alert('The weight must be a number greater than 0.');
+            return;
+        }
+        const saved = updateTag(index, {
+            name,
+            weight,
+            emoji: tagEditEmoji.value,
+            color: tagEditUseColor.checked ? tagEditColor.value : '',
+            ...getExclusionChanges(editingTag, tagEditDisabled.checked)
+        });
+        if (saved) {
+            closeTagEditor();
+        }
+    }
+
+    /**
+     * Gets today's local date as "YYYY-MM-DD", used to stamp exclusions
+     * @returns {string}
+     */
+    function getTodayKey() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Builds the tag fields for marking a name as sitting out or back in.
+     * A name that is already out keeps the day it was first excluded.
+     * @param {Object} tag - The tag being changed
+     * @param {boolean} excluded - Whether the name should sit out
+     * @returns {{disabled: boolean, excludedOn: string}}
+     */
+    function getExclusionChanges(tag, excluded) {
+        if (!excluded) {
+            return { disabled: false, excludedOn: '' };
+        }
+        return { disabled: true, excludedOn: tag.disabled && tag.excludedOn ? tag.excludedOn : getTodayKey() };
+    }
+
+    /**
+     * Brings back names excluded on an earlier day, when exclusions are set
+     * to expire at the end of the day
+     * @param {Object[]} tags
+     * @returns {Object[]} - The same tags, with expired exclusions lifted
+     */
+    function liftExpiredExclusions(tags) {
+        if (!exclusionsExpire) {
+            return tags;
+        }
+        const today = getTodayKey();
+        return tags.map(tag => (tag.disabled && tag.excludedOn && tag.excludedOn < today
+            ? normalizeTag({ ...tag, ...getExclusionChanges(tag, false) })
+            : tag));
+    }
+
+    /**
+     * Lifts expired exclusions from the current names
+     */
+    function refreshExclusions() {
+        const tags = liftExpiredExclusions(namesTags);
+        if (tags.some((tag, index) => tag !== namesTags[index])) {
+            namesTags = tags;
+            renderTags();
+            saveTagsToStorage();
+        }
+    }
+
+    /**
+     * Marks a name as sitting out, or brings it back onto the wheel
+     * @param {number} index - Index of the tag to toggle
+     */
+    function toggleTagExcluded(index) {
+        const tag = namesTags[index];
+        if (tag) {
+            updateTag(index, getExclusionChanges(tag, !tag.disabled));
+        }
+    }
+
+    /**
+     * Brings every name that is sitting out back onto the list for the wheel
+     */
+    function bringEveryoneBack() {
+        recordUndo('Brought everyone back');
+        namesTags = namesTags.map(tag => normalizeTag({ ...tag, ...getExclusionChanges(tag, false) }));
+        renderTags();
+        saveTagsToStorage();
+    }
+
+    /**
+     * Exclusion expiry preference functions
+     */
+    function setExclusionsExpire(enabled) {
+        exclusionsExpire = enabled;
+        exclusionsExpireToggle.checked = enabled;
+        localStorage.setItem('wheelGenerator_exclusionsExpire', enabled.toString());
+        refreshExclusions();
+    }
+
+    function loadExclusionsExpirePreference() {
+        if (localStorage.getItem('wheelGenerator_exclusionsExpire') === 'true') {
+            setExclusionsExpire(true);
+        }
+    }
+
+    /**
+     * Remove a tag by index
+     * @param {number} index - Index of tag to remove
+     */
+    function removeTag(index) {
+        if (index >= 0 && index < namesTags.length) {
+            recordUndo(`Removed "${namesTags[index].name}"`, true);
+            namesTags.splice(index, 1);
+            clearEditedGroup();
+            renderTags();
+            saveTagsToStorage();
+        }
+    }
+
+    /**
+     * Forgets the loaded group once names are added, renamed or removed by
+     * hand, so later spins are not recorded under a group the list no longer matches
+     */
+    function clearEditedGroup() {
+        if (activeGroupName) {
+            setActiveGroup('');
+        }
+    }
+
+    /**
+     * Render all tags in the display area
+     */
+    function renderTags() {
+        tagsDisplay.replaceChildren();
+        // Long lists are collapsed to a preview so the page stays responsive
+        const isCollapsible = namesTags.length > TAG_COLLAPSE_THRESHOLD;
+        const visibleTags = isCollapsible && !showAllTags ? namesTags.slice(0, TAG_PREVIEW_COUNT) : namesTags;
+        // Names are set as text, never parsed as HTML, so pasted or shared markup stays inert
+        visibleTags.forEach((tag, index) => {
+            const tagElement = document.createElement('div');
+            tagElement.className = 'tag';
+            tagElement.dataset.index = index;
+            tagElement.draggable = true;
+            if (tag.color) {
+                tagElement.classList.add('tag-colored');
+                tagElement.style.setProperty('--tag-color', tag.color);
+            }
+            if (tag.disabled) {
+                tagElement.classList.add('tag-disabled');
+            }
+
+            tagElement.appendChild(createExcludeButton(tag, index, tag.name));
+
+            if (tag.emoji) {
+                const emoji = document.createElement('span');
+                emoji.className = 'tag-emoji';
+                emoji.textContent = tag.emoji;
+                tagElement.appendChild(emoji);
+            }
+
+            const text = document.createElement('span');
+            text.className = 'tag-text';
+            text.textContent = tag.name;
+            text.title = [
+                tag.group ? `${tag.name} (${tag.group})` : tag.name,
+                tag.disabled ? 'sitting out' : '',
+                'double-click to rename, drag to reorder'
+            ].filter(Boolean).join(' · ');
+            tagElement.appendChild(text);
+
+            if (tag.weight !== 1) {
+                const weight = document.createElement('span');
+                weight.className = 'tag-weight';
+                weight.textContent = `×${tag.weight}`;
+                weight.title = `Weight ${tag.weight}`;
+                tagElement.appendChild(weight);
+            }
+
+            const editButton = document.createElement('button');
+            editButton.className = 'tag-edit';
+            editButton.dataset.index = index;
+            editButton.title = `Edit ${tag.name}`;
+            editButton.setAttribute('aria-label', `Edit ${tag.name}`);
+            editButton.textContent = '✎';
+            tagElement.appendChild(editButton);
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'tag-remove';
+            removeButton.dataset.index = index;
+            removeButton.title = `Remove ${tag.name}`;
+            removeButton.setAttribute('aria-label', `Remove ${tag.name}`);
+            removeButton.textContent = '×';
+            tagElement.appendChild(removeButton);
+
+            tagsDisplay.appendChild(tagElement);
+        });
+
+        if (isCollapsible) {
+            const toggleButton = document.createElement('button');
+            toggleButton.className = 'tags-more';
+            toggleButton.textContent = showAllTags
+                ? 'Show fewer'
+                : `+${namesTags.length - TAG_PREVIEW_COUNT} more · show all ${namesTags.length}`;
+            toggleButton.addEventListener('click', () => {
+                showAllTags = !showAllTags;
+                renderTags();
+            });
+            tagsDisplay.appendChild(toggleButton);
+        }
+        
+        const excludedCount = namesTags.filter(tag => tag.disabled).length;
+        exclusionControls.hidden = excludedCount === 0;
+        everyoneBackBtn.textContent = `👋 Everyone back (${excludedCount})`;
+
+        // Update placeholder text based on whether tags exist
+        if (namesTags.length > 0) {
+            tagInput.placeholder = 'Add another name...';
+        } else {
+            tagInput.placeholder = 'Enter names for the wheel...';
+        }
+
+        renderRotation();
+    }
+
+    /**
+     * Creates the button that toggles whether a name is sitting out
+     * @param {Object} tag
+     * @param {number} index - Index of the tag in its list
+     * @param {string} label - How the name is described in the button's title
+     * @returns {HTMLButtonElement}
+     */
+    function createExcludeButton(tag, index, label) {
+        const button = document.createElement('button');
+        button.className = 'tag-exclude';
+        button.dataset.index = index;
+        button.setAttribute('aria-pressed', String(Boolean(tag.disabled)));
+        button.title = tag.disabled ? `Bring ${label} back` : `Mark ${label} as sitting out`;
+        button.setAttribute('aria-label', button.title);
+        button.textContent = tag.disabled ? '↩' : '💤';
+        return button;
+    }
+
+    /**
+     * Removes the tag whose remove button was clicked
+     * @param {number} index
+     */
+    function removeTagAtIndex(index) {
+        const hadFocus = tagsDisplay.contains(document.activeElement);
+        removeTag(index);
+        // Keep keyboard users in the tag list instead of dropping focus to the page
+        if (hadFocus) {
+            focusTagRemoveButton(index);
+        }
+    }
+
+    /**
+     * Parse input text and add multiple tags (for paste functionality).
+     * Spreadsheet pastes are tab separated and go through column picking.
+     * @param {string} text - Text to parse
+     */
+    function parseAndAddTags(text) {
+        importNames(text, text.includes('\t') ? 'tsv' : 'list');
+    }
+
+    /**
+     * Imports names from text and reports how many were added, skipped as
+     * duplicates or trimmed
+     * @param {string} text - Text to import
+     * @param {string} format - 'list' (comma/newline separated), 'csv' or 'tsv'
+     */
+    function importNames(text, format) {
+        const result = format === 'list'
+            ? readListEntries(text)
+            : readTableEntries(parseCsv(text, format === 'tsv' ? '\t' : ','));
+        if (result) {
+            reportImport(result, mergeImportedTags(result.entries));
+        }
+    }
+
+    /**
+     * Reads a comma/newline separated list. Quotes keep commas inside a
+     * name, e.g. "Smith, John".
+     * @param {string} text
+     * @returns {{entries: Object[], trimmed: number, oversized: string[]}}
+     */
+    function readListEntries(text) {
+        const result = { entries: [], trimmed: 0, oversized: [] };
+        parseCsv(text).forEach(row => row.forEach(value => addImportValue(result, value)));
+        return result;
+    }
+
+    /**
+     * Reads rows of a CSV file or spreadsheet paste. A header row naming a
+     * name column picks the columns; otherwise the user is asked.
+     * @param {string[][]} rows - From parseCsv
+     * @returns {?{entries: Object[], trimmed: number, oversized: string[]}} - Null if cancelled
+     */
+    function readTableEntries(rows) {
+        const result = { entries: [], trimmed: 0, oversized: [] };
+        if (rows.length === 0) {
+            return result;
+        }
+
+        const header = rows[0].map(value => value.trim());
+        const findColumn = pattern => header.findIndex(value => pattern.test(value));
+        let columns = {
+            name: findColumn(IMPORT_COLUMN_HEADERS.name),
+            weight: findColumn(IMPORT_COLUMN_HEADERS.weight),
+            group: findColumn(IMPORT_COLUMN_HEADERS.group)
+        };
+        let dataRows = rows.slice(1);
+        if (columns.name === -1) {
+            const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+            columns = columnCount === 1 ? { name: 0, weight: -1, group: -1 } : askImportColumns(rows[0], columnCount);
+            if (!columns) {
+                return null;
+            }
+            // Without a recognised header, the first row is data unless its weight isn't a number
+            const firstWeight = columns.weight === -1 ? '' : (rows[0][columns.weight] || '').trim();
+            if (firstWeight === '' || !isNaN(Number(firstWeight))) {
+                dataRows = rows;
+            }
+        }
+
+        dataRows.forEach(row => {
+            const weight = columns.weight === -1 ? NaN : Number(row[columns.weight]);
+            const group = columns.group === -1 ? '' : (row[columns.group] || '').trim();
+            addImportValue(result, row[columns.name] || '', weight > 0 ? weight : null, group);
+        });
+        return result;
+    }
+
+    /**
+     * Asks which columns of a table hold the names, weights and groups
+     * @param {string[]} firstRow - Shown as a preview
+     * @param {number} columnCount
+     * @returns {?{name: number, weight: number, group: number}} - Zero-based columns (-1 for none), or null if cancelled
+     */
+    function askImportColumns(firstRow, columnCount) {
+        const preview = firstRow.map((value, i) => `${i + 1}: ${value.trim()}`).join(' | ');
+        const answer = prompt(
+            'Which column has the names? Add the weight and group columns after it if there are any, ' +
+            `e.g. "1", "1, 3" or "1, 0, 2" (0 skips the weight).\n\nFirst row — ${preview}`,
+            '1'
+        );
+        if (answer === null) {
+            return null;
+        }
+        const [name, weight = 0, group = 0] = answer.split(/[\s,]+/).filter(Boolean).map(Number);
+        const isColumn = n => Number.isInteger(n) && n >= 1 && n <= columnCount;
+        if (!isColumn(name) || (weight !== 0 && !isColumn(weight)) || (group !== 0 && !isColumn(group))) {
+            alert(`Please enter column numbers between 1 and ${columnCount}.`);
+            return null;
+        }
+        return { name: name - 1, weight: weight - 1, group: group - 1 };
+    }
+
+    /**
+     * Cleans up one imported value and adds it to the import, expanding
+     * number ranges such as "1-100". Runs of whitespace are collapsed; the
+     * single space after a comma doesn't count as trimmed.
+     * @param {Object} result - Import being built
+     * @param {string} value - Raw value
+     * @param {?number} weight - Weight from a weight column, or null to read "x3" from the value
+     * @param {string} group - Group from a group column
+     */
+    function addImportValue(result, value, weight = null, group = '') {
+        const cleaned = value.trim().replace(/\s+/g, ' ');
+        if (cleaned === '') {
+            return;
+        }
+        if (value !== cleaned && value !== ` ${cleaned}`) {
+            result.trimmed++;
+        }
+
+        const tag = weight === null ? parseTagText(cleaned) : { name: cleaned, weight, hasExplicitWeight: true };
+        const addEntry = name => result.entries.push({
+            name,
+            weight: tag.weight,
+            hasExplicitWeight: tag.hasExplicitWeight,
+            group
+        });
+        const range = parseNumberRange(tag.name);
+        if (!range) {
+            addEntry(tag.name);
+        } else if (range.count > MAX_IMPORT_RANGE) {
+            result.oversized.push(tag.name);
+        } else {
+            for (let n = range.start; n <= range.end; n++) {
+                addEntry(String(n).padStart(range.width, '0'));
+            }
+        }
+    }
+
+    /**
+     * Parses an ascending number range such as "1-100" or "001-250"
+     * @param {string} text
+     * @returns {?{start: number, end: number, width: number, count: number}} - Null if text isn't a range
+     */
+    function parseNumberRange(text) {
+        const match = text.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+        if (!match) {
+            return null;
+        }
+        const start = parseInt(match[1], 10);
+        const end = parseInt(match[2], 10);
+        if (end <= start) {
+            return null;
+        }
+        // Leading zeros set the width of every number, e.g. 001, 002, …
+        const width = match[1].length > 1 && match[1].startsWith('0') ? match[1].length : 0;
+        return { start, end, width, count: end - start + 1 };
+    }
+
+    /**
+     * Adds imported entries to the tags in one go. Names already on the
+     * list are skipped, unless an explicit weight updates them as in addTag.
+     * @param {{name: string, weight: number, hasExplicitWeight: boolean, group: string}[]} entries
+     * @returns {{added: number, updated: number, duplicates: number}}
+     */
+    function mergeImportedTags(entries) {
+        const stats = { added: 0, updated: 0, duplicates: 0 };
+        const tagsByName = new Map(namesTags.map(tag => [tag.name, tag]));
+        if (entries.some(entry => {
+            const existing = tagsByName.get(entry.name);
+            return !existing || (entry.hasExplicitWeight && existing.weight !== entry.weight);
+        })) {
+            recordUndo('Imported names');
+        }
+        entries.forEach(entry => {
+            const existing = tagsByName.get(entry.name);
+            if (!existing) {
+                const tag = { name: entry.name, weight: entry.weight };
+                if (entry.group) {
+                    tag.group = entry.group;
+                }
+                namesTags.push(tag);
+                tagsByName.set(tag.name, tag);
+                stats.added++;
+            } else if (entry.hasExplicitWeight && existing.weight !== entry.weight) {
+                existing.weight = entry.weight;
+                stats.updated++;
+            } else {
+                stats.duplicates++;
+            }
+        });
+        if (stats.added > 0) {
+            clearEditedGroup();
+        }
+        if (stats.added > 0 || stats.updated > 0) {
+            renderTags();
+            saveTagsToStorage();
+        }
+        return stats;
+    }
+
+    /**
+     * Summarises an import. A single pasted name that was simply added
+     * needs no report.
+     * @param {{trimmed: number, oversized: string[]}} result
+     * @param {{added: number, updated: number, duplicates: number}} stats
+     */
+    function reportImport(result, stats) {
+        const total = stats.added + stats.updated + stats.duplicates;
+        if (total <= 1 && stats.duplicates === 0 && result.oversized.length === 0) {
+            return;
+        }
+        let message = `Added ${stats.added} name(s)`;
+        if (stats.updated > 0) {
+            message += `, updated the weight of ${stats.updated}`;
+        }
+        if (stats.duplicates > 0) {
+            message += `, skipped ${stats.duplicates} duplicate(s)`;
+        }
+        if (result.trimmed > 0) {
+            message += `, trimmed extra spaces from ${result.trimmed}`;
+        }
+        if (result.oversized.length > 0) {
+            message += `. Skipped range(s) longer than ${MAX_IMPORT_RANGE} numbers: ${result.oversized.join(', ')}`;
+        }
+        alert(message);
+    }
+
+    /**
+     * Imports names from a CSV, TSV or plain text file
+     * @param {File} file
+     */
+    async function handleNamesImportFile(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (e) {
+            console.warn('Failed to read names file:', e);
+            alert(`Could not read "${file.name}"`);
+            return;
+        }
+        let format = 'list';
+        if (/\.tsv$/i.test(file.name) || text.includes('\t')) {
+            format = 'tsv';
+        } else if (/\.csv$/i.test(file.name)) {
+            format = 'csv';
+        }
+        importNames(text, format);
+    }
+
+    /**
+     * Get current tags as an array (replaces parseInput). Tags that are
+     * sitting out are left off; colour and emoji carry through to the wheel.
+     * @returns {{name: string, weight: number}[]} array of weighted tags
+     */
+    function getCurrentTags() {
+        return namesTags.filter(tag => !tag.disabled).map(tag => ({ ...tag })); // Return a copy
+    }
+
+    /**
+     * Computes the vertical layout of each segment, with stripe heights
+     * proportional to the entries' weights.
+     * @param {{weight: number}[]} items
+     * @param {number} wheelHeight
+     * @returns {{start: number, height: number}[]} offsets relative to the wheel top
+     */
+    function getSegmentLayout(items, wheelHeight) {
+        const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+        let start = 0;
+        return items.map(item => {
+            const height = wheelHeight * item.weight / totalWeight;
+            const segment = { start, height };
+            start += height;
+            return segment;
+        });
+    }
+
+    /**
+     * Picks a random index with probability proportional to each item's weight.
+     * @param {{weight: number}[]} items
+     * @param {number} random a random number in [0, 1), e.g. from a seeded spin
+     * @returns {number}
+     */
+    function pickWeightedIndex(items, random = Math.random()) {
+        const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+        let threshold = random * totalWeight;
+        for (let i = 0; i < items.length; i++) {
+            threshold -= items[i].weight;
+            if (threshold < 0) {
+                return i;
+            }
+        }
+        return items.length - 1;
+    }
+
+    /**
+     * Randomly shuffles an array in place using the Fisher–Yates algorithm.
+     * @param {any[]} array
+     * @param {function(): number} random source of numbers in [0, 1)
+     */
+    function shuffleArray(array, random = Math.random) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+    }
+
+    /**
+     * Gets the current wheel color palette based on the active theme
+     * @returns {Array} Array of color strings
+     */
+    function getWheelColorPalette() {
+        const rootStyles = getComputedStyle(document.documentElement);
+        return [
+            rootStyles.getPropertyValue('--wheel-color-1').trim(),
+            rootStyles.getPropertyValue('--wheel-color-2').trim(),
+            rootStyles.getPropertyValue('--wheel-color-3').trim(),
+            rootStyles.getPropertyValue('--wheel-color-4').trim(),
+            rootStyles.getPropertyValue('--wheel-color-5').trim(),
+            rootStyles.getPropertyValue('--wheel-color-6').trim(),
+            rootStyles.getPropertyValue('--wheel-color-7').trim(),
+            rootStyles.getPropertyValue('--wheel-color-8').trim(),
+            rootStyles.getPropertyValue('--wheel-color-9').trim(),
+            rootStyles.getPropertyValue('--wheel-color-10').trim()
+        ];
+    }
+
+    /**
+     * Assigns palette colours to source groups when colouring by group.
+     * Every group gets the next palette colour in order of appearance.
+     * @param {{group: ?string}[]} items
+     * @param {string[]} palette
+     * @returns {Object} map of group name to colour (empty when disabled)
+     */
+    function getGroupColors(items, palette) {
+        const groupColors = {};
+        if (colorByGroup) {
+            items.forEach(item => {
+                if (item.group && !(item.group in groupColors)) {
+                    groupColors[item.group] = palette[Object.keys(groupColors).length % palette.length];
+                }
+            });
+        }
+        return groupColors;
+    }
+
+    /**
+     * Picks the fill colour of a segment: the entry's own colour, then its
+     * group colour, then the theme palette
+     * @param {{color: ?string, group: ?string}} item
+     * @param {number} index - Position of the entry on the wheel
+     * @param {string[]} palette
+     * @param {Object} groupColors - From getGroupColors
+     * @returns {string}
+     */
+    function getSegmentColor(item, index, palette, groupColors) {
+        return item.color || groupColors[item.group] || palette[index % palette.length];
+    }
+
+    /**
+     * Gets the text drawn for an entry on the wheel, with its emoji in front
+     * @param {{name: string, emoji: ?string}} item
+     * @returns {string}
+     */
+    function getItemLabel(item) {
+        return item.emoji ? `${item.emoji} ${item.name}` : item.name;
+    }
+
+    /**
+     * Gets the current wheel divider color based on the active theme
+     * @returns {string} Divider color string
+     */
+    function getWheelDividerColor() {
+        const rootStyles = getComputedStyle(document.documentElement);
+        return rootStyles.getPropertyValue('--wheel-divider').trim();
+    }
+
+    /**
+     * Gets the current wheel text color based on the active theme
+     * @returns {string} Text color string
+     */
+    function getWheelTextColor() {
+        const rootStyles = getComputedStyle(document.documentElement);
+        return rootStyles.getPropertyValue('--wheel-text').trim();
+    }
+
+    /**
+     * Gets the current wheel thickness color based on the active theme
+     * @returns {string} Thickness color string
+     */
+    function getWheelThicknessColor() {
+        const rootStyles = getComputedStyle(document.documentElement);
+        return rootStyles.getPropertyValue('--wheel-thickness').trim();
+    }
+
+    /**
+     * Gets the current wheel outline color based on the active theme
+     * @returns {string} Outline color string
+     */
+    function getWheelOutlineColor() {
+        const rootStyles = getComputedStyle(document.documentElement);
+        return rootStyles.getPropertyValue('--wheel-outline').trim();
+    }
+
+    /**
+     * Gets the current wheel center line color based on the active theme
+     * @returns {string} Center line color string
+     */
+    function getWheelCenterLineColor() {
+        const rootStyles = getComputedStyle(document.documentElement);
+        return rootStyles.getPropertyValue('--wheel-center-line').trim();
+    }
+
+    /**
+     * Draws the wheel with the given items, applying an optional horizontal offset.
+     * When a selected index is provided, that segment will be outlined to highlight it.
+     *
+     * @param {{name: string, weight: number}[]} items
+     * @param {number} offset shift applied to segment positions
+     * @param {?number} highlight index of the item to highlight (or null)
+     */
+    function drawWheelWithOffset(items, offset, highlight = null) {
+        // Clear entire canvas
+        const cw = canvas.width;
+        const ch = canvas.height;
+        ctx.clearRect(0, 0, cw, ch);
+        if (!items || items.length === 0) {
+            return;
+        }
+        // For a vertical wheel, the height dominates and the width is narrow
+        const wheelHeight = ch * 0.8;
+        const wheelWidth = cw * 0.35;
+        const x = (cw - wheelWidth) / 2;
+        const y = (ch - wheelHeight) / 2;
+        const layout = getSegmentLayout(items, wheelHeight);
+        const largeList = isLargeList(items);
+        const palette = getWheelColorPalette();
+        const groupColors = getGroupColors(items, palette);
+        const dividerColor = getWheelDividerColor();
+        const textColor = getWheelTextColor();
+        const thicknessColor = getWheelThicknessColor();
+        const outlineColor = getWheelOutlineColor();
+        const centerLineColor = getWheelCenterLineColor();
+        
+        // Full name of a highlighted winner whose label had to be shortened
+        let callout = null;
+
+        // Clip to the wheel face so tall segments that wrap past the bottom
+        // edge reappear at the top instead of spilling over
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, wheelWidth, wheelHeight);
+        ctx.clip();
+        if (largeList) {
+            // Too many entries to draw one by one: fill each pixel row with
+            // the segment under it and leave the names to the magnifier
+            getVisibleRuns(layout, wheelHeight, offset, Math.ceil(wheelHeight)).forEach(run => {
+                ctx.fillStyle = getSegmentColor(items[run.index], run.index, palette, groupColors);
+                ctx.fillRect(x, y + run.start, wheelWidth, run.end - run.start);
+            });
+        } else {
+            // Draw each segment as a horizontal stripe across the narrow width
+            for (let i = 0; i < items.length; i++) {
+                const segHeight = layout[i].height;
+                // Compute wrapped starting y position based on offset
+                const rawStart = y + layout[i].start + offset;
+                const sy = ((rawStart - y) % wheelHeight + wheelHeight) % wheelHeight + y;
+                const positions = sy + segHeight > y + wheelHeight ? [sy, sy - wheelHeight] : [sy];
+                positions.forEach(segY => {
+                    // Fill segment rectangle
+                    const segmentColor = getSegmentColor(items[i], i, palette, groupColors);
+                    ctx.fillStyle = segmentColor;
+                    ctx.fillRect(x, segY, wheelWidth, segHeight);
+                    // Divider line between segments (horizontal)
+                    ctx.strokeStyle = dividerColor;
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.moveTo(x, segY);
+                    ctx.lineTo(x + wheelWidth, segY);
+                    ctx.stroke();
+                    // Highlight selected segment
+                    if (highlight !== null && i === highlight) {
+                        ctx.save();
+                        ctx.lineWidth = 4;
+                        ctx.strokeStyle = '#ffffff';
+                        ctx.strokeRect(x, segY, wheelWidth, segHeight);
+                        ctx.restore();
+                    }
+                    // Draw segment label horizontally centred within each stripe,
+                    // shrunk, wrapped or shortened to fit inside it
+                    const label = layoutLabel(getItemLabel(items[i]), wheelWidth - LABEL_PADDING * 2, segHeight, Math.min(20, segHeight * 0.5));
+                    ctx.save();
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillStyle = getLabelColor(segmentColor, textColor);
+                    drawLabelLines(label, x + wheelWidth / 2, segY + segHeight / 2);
+                    ctx.restore();
+                    if (i === highlight && label.truncated) {
+                        callout = { text: getItemLabel(items[i]), y: segY + segHeight / 2 };
+                    }
+                });
+            }
+        }
+        ctx.restore();
+        // Draw bottom divider line to close the last segment
+        ctx.strokeStyle = dividerColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, y + wheelHeight);
+        ctx.lineTo(x + wheelWidth, y + wheelHeight);
+        ctx.stroke();
+        // Simulate thickness with simple rectangles above and below the wheel instead of semi‑circles
+        const thickness = wheelHeight * 0.1; // 10% of the wheel height as thickness
+        ctx.fillStyle = thicknessColor;
+        // Top thickness rectangle
+        ctx.fillRect(x, y - thickness, wheelWidth, thickness);
+        // Bottom thickness rectangle
+        ctx.fillRect(x, y + wheelHeight, wheelWidth, thickness);
+        // Outline of the wheel rectangle
+        ctx.strokeStyle = outlineColor;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, wheelWidth, wheelHeight);
+        // Centre indicator: horizontal line across the middle with a contrasting border
+        ctx.save();
+        const centerY = ch / 2;
+        // Draw a slightly thicker white line underneath to act as a border
+        ctx.strokeStyle = centerLineColor;
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.moveTo(x, centerY);
+        ctx.lineTo(x + wheelWidth, centerY);
+        ctx.stroke();
+        // Draw the accent line on top
+        ctx.strokeStyle = palette[0]; // Use the first wheel color as accent
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(x, centerY);
+        ctx.lineTo(x + wheelWidth, centerY);
+        ctx.stroke();
+        ctx.restore();
+
+        if (callout) {
+            drawLabelCallout(callout.text, cw / 2, callout.y);
+        }
+
+        if (largeList) {
+            // Magnify the names around the centre line in the space right of the drum
+            const position = ((centerY - y - offset) % wheelHeight + wheelHeight) % wheelHeight;
+            const boxX = x + wheelWidth + 20;
+            drawMagnifier(items, layout, position, highlight, palette, groupColors, {
+                x: boxX,
+                y: centerY - MAGNIFIER_ROWS * MAGNIFIER_ROW_HEIGHT / 2,
+                width: cw - boxX - 15
+            });
+        }
+    }
+
+    // ================================
+    // LARGE-LIST FUNCTIONS
+    // ================================
+
+    /**
+     * Checks whether a wheel has too many entries to draw one by one
+     * @param {Array} items
+     * @returns {boolean}
+     */
+    function isLargeList(items) {
+        return items.length > LARGE_LIST_THRESHOLD;
+    }
+
+    /**
+     * Finds the segment containing a position with a binary search
+     * @param {{start: number, height: number}[]} layout - From getSegmentLayout
+     * @param {number} position - Position along the wheel, from 0 to its total size
+     * @returns {number} - Index of the segment, or -1 if there are no segments
+     */
+    function findSegmentAt(layout, position) {
+        if (layout.length === 0) {
+            return -1;
+        }
+        let low = 0;
+        let high = layout.length - 1;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (position < layout[mid].start + layout[mid].height) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Samples the wheel face at a fixed number of steps and merges
+     * neighbouring samples of the same segment, so a wheel with thousands of
+     * entries is drawn with at most one shape per step
+     * @param {{start: number, height: number}[]} layout - From getSegmentLayout
+     * @param {number} total - Size of the face (pixels for the drum, radians for the circle)
+     * @param {number} offset - Current offset or rotation of the wheel
+     * @param {number} steps - Number of samples, about one per pixel
+     * @returns {{index: number, start: number, end: number}[]} - Runs in face coordinates
+     */
+    function getVisibleRuns(layout, total, offset, steps) {
+        const runs = [];
+        const stepSize = total / steps;
+        for (let step = 0; step < steps; step++) {
+            const position = (((step + 0.5) * stepSize - offset) % total + total) % total;
+            const index = findSegmentAt(layout, position);
+            const lastRun = runs[runs.length - 1];
+            if (lastRun && lastRun.index === index) {
+                lastRun.end = (step + 1) * stepSize;
+            } else {
+                runs.push({ index, start: step * stepSize, end: (step + 1) * stepSize });
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Draws a zoomed-in list of the names around the centre line or pointer.
+     * Rows scroll smoothly with the wheel and the middle row is the entry
+     * that would win if the wheel stopped now.
+     * @param {Array} items
+     * @param {{start: number, height: number}[]} layout - From getSegmentLayout
+     * @param {number} position - Wheel position under the centre line or pointer
+     * @param {?number} highlight - Index of the highlighted winner, if any
+     * @param {string[]} palette
+     * @param {Object} groupColors - From getGroupColors
+     * @param {{x: number, y: number, width: number}} box - Where to draw the magnifier
+     */
+    function drawMagnifier(items, layout, position, highlight, palette, groupColors, box) {
+        const index = findSegmentAt(layout, position);
+        const fraction = (position - layout[index].start) / layout[index].height;
+        const boxHeight = MAGNIFIER_ROWS * MAGNIFIER_ROW_HEIGHT;
+        const middleY = box.y + boxHeight / 2;
+        const textColor = getWheelTextColor();
+        const reach = Math.ceil(MAGNIFIER_ROWS / 2) + 1;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(box.x, box.y, box.width, boxHeight);
+        ctx.clip();
+        for (let k = -reach; k <= reach; k++) {
+            const i = ((index + k) % items.length + items.length) % items.length;
+            const rowY = middleY + (k - fraction) * MAGNIFIER_ROW_HEIGHT;
+            const rowColor = getSegmentColor(items[i], i, palette, groupColors);
+            ctx.fillStyle = rowColor;
+            ctx.fillRect(box.x, rowY, box.width, MAGNIFIER_ROW_HEIGHT);
+            ctx.strokeStyle = getWheelDividerColor();
+            ctx.lineWidth = 1;
+            ctx.strokeRect(box.x, rowY, box.width, MAGNIFIER_ROW_HEIGHT);
+            if (i === highlight) {
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = '#ffffff';
+                ctx.strokeRect(box.x + 1.5, rowY + 1.5, box.width - 3, MAGNIFIER_ROW_HEIGHT - 3);
+            }
+            const label = layoutLabel(getItemLabel(items[i]), box.width - 2 * LABEL_PADDING, MAGNIFIER_ROW_HEIGHT, 14);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = getLabelColor(rowColor, textColor);
+            drawLabelLines(label, box.x + box.width / 2, rowY + MAGNIFIER_ROW_HEIGHT / 2);
+        }
+        ctx.restore();
+
+        // Frame and a marker at the middle row, matching the centre line
+        ctx.save();
+        ctx.strokeStyle = getWheelOutlineColor();
+        ctx.lineWidth = 2;
+        ctx.strokeRect(box.x, box.y, box.width, boxHeight);
+        ctx.fillStyle = palette[0];
+        ctx.beginPath();
+        ctx.moveTo(box.x - 2, middleY - 8);
+        ctx.lineTo(box.x + 10, middleY);
+        ctx.lineTo(box.x - 2, middleY + 8);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // ================================
+    // LABEL LAYOUT FUNCTIONS
+    // ================================
+
+    /**
+     * Builds the canvas font for segment labels
+     * @param {number} fontSize - Size in pixels
+     * @returns {string}
+     */
+    function getLabelFont(fontSize) {
+        return `bold ${fontSize}px sans-serif`;
+    }
+
+    /**
+     * Works out how to draw a label inside a box: the largest font size at
+     * which it fits on one line, or wrapped over several lines, and failing
+     * that the smallest size with the text shortened with an ellipsis.
+     * Leaves ctx.font set to the chosen size.
+     * @param {string} text - The label
+     * @param {number} maxWidth - Available width in pixels
+     * @param {number} maxHeight - Available height in pixels
+     * @param {number} maxFontSize - Largest font size to use
+     * @returns {{fontSize: number, lines: string[], truncated: boolean}}
+     */
+    function layoutLabel(text, maxWidth, maxHeight, maxFontSize) {
+        const key = [text, Math.round(maxWidth), Math.round(maxHeight), Math.round(maxFontSize)].join('|');
+        let layout = labelLayoutCache.get(key);
+        if (!layout) {
+            layout = computeLabelLayout(text, maxWidth, maxHeight, maxFontSize);
+            if (labelLayoutCache.size >= MAX_LABEL_CACHE_ENTRIES) {
+                labelLayoutCache.clear();
+            }
+            labelLayoutCache.set(key, layout);
+        }
+        ctx.font = getLabelFont(layout.fontSize);
+        return layout;
+    }
+
+    /**
+     * Measures a label layout (see layoutLabel)
+     * @param {string} text
+     * @param {number} maxWidth
+     * @param {number} maxHeight
+     * @param {number} maxFontSize
+     * @returns {{fontSize: number, lines: string[], truncated: boolean}}
+     */
+    function computeLabelLayout(text, maxWidth, maxHeight, maxFontSize) {
+        const largest = Math.max(1, Math.floor(maxFontSize));
+        const smallest = Math.min(MIN_LABEL_FONT_SIZE, largest);
+
+        for (let fontSize = largest; fontSize >= smallest; fontSize--) {
+            ctx.font = getLabelFont(fontSize);
+            if (ctx.measureText(text).width <= maxWidth) {
+                return { fontSize, lines: [text], truncated: false };
+            }
+            const maxLines = Math.floor(maxHeight / (fontSize * LABEL_LINE_HEIGHT));
+            if (maxLines >= 2) {
+                const lines = wrapLabelWords(text, maxWidth);
+                if (lines.length <= maxLines && lines.every(line => ctx.measureText(line).width <= maxWidth)) {
+                    return { fontSize, lines, truncated: false };
+                }
+            }
+        }
+
+        // Too long even at the smallest size: fill the lines that fit and shorten the rest
+        ctx.font = getLabelFont(smallest);
+        const maxLines = Math.max(1, Math.floor(maxHeight / (smallest * LABEL_LINE_HEIGHT)));
+        let lines = wrapLabelWords(text, maxWidth);
+        if (lines.length > maxLines) {
+            lines = [...lines.slice(0, maxLines - 1), lines.slice(maxLines - 1).join(' ')];
+        }
+        return {
+            fontSize: smallest,
+            lines: lines.map(line => ellipsizeText(line, maxWidth)),
+            truncated: true
+        };
+    }
+
+    /**
+     * Splits text into lines at spaces so each line fits the width where
+     * possible. Single words wider than the width get a line of their own.
+     * Uses the current ctx.font.
+     * @param {string} text
+     * @param {number} maxWidth
+     * @returns {string[]}
+     */
+    function wrapLabelWords(text, maxWidth) {
+        const lines = [];
+        let line = '';
+        text.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) {
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    /**
+     * Shortens text with a trailing ellipsis until it fits the width.
+     * Uses the current ctx.font.
+     * @param {string} text
+     * @param {number} maxWidth
+     * @returns {string}
+     */
+    function ellipsizeText(text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) {
+            return text;
+        }
+        // Split by code point so emoji and other surrogate pairs stay intact
+        const chars = Array.from(text);
+        let low = 0;
+        let high = chars.length;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (ctx.measureText(`${chars.slice(0, mid).join('').trimEnd()}…`).width <= maxWidth) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return `${chars.slice(0, low).join('').trimEnd()}…`;
+    }
+
+    /**
+     * Draws the lines of a label layout stacked around a point, using the
+     * current text alignment and fill
+     * @param {{fontSize: number, lines: string[]}} label
+     * @param {number} x
+     * @param {number} y - Vertical centre of the block of lines
+     */
+    function drawLabelLines(label, x, y) {
+        const lineHeight = label.fontSize * LABEL_LINE_HEIGHT;
+        label.lines.forEach((line, index) => {
+            ctx.fillText(line, x, y + (index - (label.lines.length - 1) / 2) * lineHeight);
+        });
+    }
+
+    /**
+     * Draws a full label in a dark box centred on a point, clamped to the
+     * canvas. Used for a winner whose segment label had to be shortened.
+     * @param {string} text
+     * @param {number} x
+     * @param {number} y
+     */
+    function drawLabelCallout(text, x, y) {
+        const padding = 10;
+        const label = layoutLabel(text, canvas.width - 4 * padding, canvas.height / 3, 18);
+        const textWidth = Math.max(...label.lines.map(line => ctx.measureText(line).width));
+        const boxWidth = textWidth + 2 * padding;
+        const boxHeight = label.lines.length * label.fontSize * LABEL_LINE_HEIGHT + padding;
+        const boxX = Math.min(Math.max(x - boxWidth / 2, padding), canvas.width - boxWidth - padding);
+        const boxY = Math.min(Math.max(y - boxHeight / 2, padding), canvas.height - boxHeight - padding);
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        drawLabelLines(label, boxX + boxWidth / 2, boxY + boxHeight / 2);
+        ctx.restore();
+    }
+
+    /**
+     * Parses a hex or rgb() colour
+     * @param {string} color
+     * @returns {?number[]} - [r, g, b] from 0 to 255, or null if unrecognised
+     */
+    function parseColor(color) {
+        const value = (color || '').trim().toLowerCase();
+        if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(value)) {
+            const hex = toHexColor(value);
+            return [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+        }
+        const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+        return rgb ? rgb.slice(1, 4).map(Number) : null;
+    }
+
+    /**
+     * Computes the WCAG contrast ratio between two colours
+     * @param {number[]} first - [r, g, b]
+     * @param {number[]} second - [r, g, b]
+     * @returns {number} - From 1 (no contrast) to 21
+     */
+    function getContrastRatio(first, second) {
+        const luminance = rgb => {
+            const [r, g, b] = rgb.map(channel => {
+                const c = channel / 255;
+                return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+            });
+            return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        };
+        const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    /**
+     * Chooses a readable label colour for a segment. The theme's text colour
+     * is kept when it contrasts enough with the fill; otherwise black or
+     * white, whichever contrasts more.
+     * @param {string} fillColor - The segment colour
+     * @param {string} themeTextColor - The theme's wheel text colour
+     * @returns {string}
+     */
+    function getLabelColor(fillColor, themeTextColor) {
+        const fill = parseColor(fillColor);
+        if (!fill) {
+            return themeTextColor;
+        }
+        const themeText = parseColor(themeTextColor);
+        if (themeText && getContrastRatio(fill, themeText) >= MIN_LABEL_CONTRAST) {
+            return themeTextColor;
+        }
+        return getContrastRatio(fill, [255, 255, 255]) >= getContrastRatio(fill, [0, 0, 0]) ? '#ffffff' : '#000000';
+    }
+
+    /**
+     * Finds the segment under a point on the canvas, for hover tooltips
+     * @param {number} px - X in canvas pixels
+     * @param {number} py - Y in canvas pixels
+     * @returns {number} - Index into currentItems, or -1 if off the wheel
+     */
+    function getIndexAtCanvasPoint(px, py) {
+        if (currentItems.length === 0) {
+            return -1;
+        }
+        const cw = canvas.width;
+        const ch = canvas.height;
+        if (wheelView === 'circle') {
+            const cx = cw / 2;
+            const cy = ch / 2 + 10;
+            const radius = Math.min(cw, ch) * 0.42;
+            if (Math.hypot(px - cx, py - cy) > radius) {
+                return -1;
+            }
+            return getIndexAtPointer(currentItems, currentAngle, Math.atan2(py - cy, px - cx));
+        }
+        const wheelHeight = ch * 0.8;
+        const wheelWidth = cw * 0.35;
+        const x = (cw - wheelWidth) / 2;
+        const y = (ch - wheelHeight) / 2;
+        if (px < x || px > x + wheelWidth || py < y || py > y + wheelHeight) {
+            return -1;
+        }
+        return getIndexAtCentre(currentItems, currentOffset, py);
+    }
+
+    /**
+     * Draws the current items using the selected view
+     * @param {?number} highlight index of the item to highlight (or null)
+     */
+    function renderWheel(highlight = null) {
+        // Drawing the wheel replaces a team reveal on the canvas
+        cancelTeamReveal();
+        isShowingTeams = false;
+        if (wheelView === 'circle') {
+            drawCircularWheel(currentItems, currentAngle, highlight);
+        } else {
+            drawWheelWithOffset(currentItems, currentOffset, highlight);
+        }
+        // Skip the text alternative on every animation frame; it is refreshed once the spin ends
+        if (!isSpinning) {
+            describeWheel(highlight);
+            updateSpinButtonState();
+        }
+    }
+
+    /**
+     * Gets the index of the segment currently under the centre line (drum)
+     * or the pointer (circular wheel)
+     * @returns {number}
+     */
+    function getCurrentIndex() {
+        return wheelView === 'circle'
+            ? getIndexAtPointer(currentItems, currentAngle)
+            : getIndexAtCentre(currentItems, currentOffset);
+    }
+
+    /**
+     * Draws a classic pie-style wheel, rotated by the given angle, with a
+     * fixed pointer at the top. Wedge sizes are proportional to the weights.
+     *
+     * @param {{name: string, weight: number}[]} items
+     * @param {number} angle rotation applied to the wheel (radians)
+     * @param {?number} highlight index of the item to highlight (or null)
+     */
+    function drawCircularWheel(items, angle, highlight = null) {
+        // Clear entire canvas
+        const cw = canvas.width;
+        const ch = canvas.height;
+        ctx.clearRect(0, 0, cw, ch);
+        if (!items || items.length === 0) {
+            return;
+        }
+        const cx = cw / 2;
+        const cy = ch / 2 + 10; // leave room for the pointer above the wheel
+        const radius = Math.min(cw, ch) * 0.42;
+        const layout = getSegmentLayout(items, 2 * Math.PI);
+        const largeList = isLargeList(items);
+        const palette = getWheelColorPalette();
+        const dividerColor = getWheelDividerColor();
+        const textColor = getWheelTextColor();
+        const thicknessColor = getWheelThicknessColor();
+        const outlineColor = getWheelOutlineColor();
+        const centerLineColor = getWheelCenterLineColor();
+        const groupColors = getGroupColors(items, palette);
+
+        // Rim to suggest thickness
+        ctx.fillStyle = thicknessColor;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius + 8, 0, 2 * Math.PI);
+        ctx.fill();
+
+        // Full name of a highlighted winner whose label had to be shortened
+        let callout = null;
+
+        if (largeList) {
+            // Too many entries to draw one by one: draw at most one wedge per
+            // pixel of the rim and leave the names to the magnifier
+            getVisibleRuns(layout, 2 * Math.PI, angle, Math.ceil(2 * Math.PI * radius)).forEach(run => {
+                ctx.fillStyle = getSegmentColor(items[run.index], run.index, palette, groupColors);
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.arc(cx, cy, radius, run.start, run.end);
+                ctx.closePath();
+                ctx.fill();
+            });
+        } else {
+            for (let i = 0; i < items.length; i++) {
+                const startAngle = angle + layout[i].start;
+                const endAngle = startAngle + layout[i].height;
+                // Fill wedge
+                const segmentColor = getSegmentColor(items[i], i, palette, groupColors);
+                ctx.fillStyle = segmentColor;
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.arc(cx, cy, radius, startAngle, endAngle);
+                ctx.closePath();
+                ctx.fill();
+                // Divider line along the wedge's leading edge
+                ctx.strokeStyle = dividerColor;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(cx + radius * Math.cos(startAngle), cy + radius * Math.sin(startAngle));
+                ctx.stroke();
+                // Highlight selected wedge
+                if (highlight !== null && i === highlight) {
+                    ctx.save();
+                    ctx.lineWidth = 4;
+                    ctx.strokeStyle = '#ffffff';
+                    ctx.beginPath();
+                    ctx.moveTo(cx, cy);
+                    ctx.arc(cx, cy, radius, startAngle, endAngle);
+                    ctx.closePath();
+                    ctx.stroke();
+                    ctx.restore();
+                }
+                // Draw label along the wedge's centre line, reading outwards and
+                // fitted between the hub and the rim
+                const midAngle = startAngle + layout[i].height / 2;
+                const arcLength = radius * 0.75 * layout[i].height;
+                const label = layoutLabel(getItemLabel(items[i]), radius * 0.75 - LABEL_PADDING, arcLength, Math.min(20, arcLength * 0.5));
+                ctx.save();
+                ctx.translate(cx, cy);
+                ctx.rotate(midAngle);
+                ctx.textAlign = 'right';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = getLabelColor(segmentColor, textColor);
+                drawLabelLines(label, radius - 14, 0);
+                ctx.restore();
+                if (i === highlight && label.truncated) {
+                    callout = {
+                        text: getItemLabel(items[i]),
+                        x: cx + radius * 0.55 * Math.cos(midAngle),
+                        y: cy + radius * 0.55 * Math.sin(midAngle)
+                    };
+                }
+            }
+        }
+
+        // Outline of the wheel
+        ctx.strokeStyle = outlineColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, 2 * Math.PI);
+        ctx.stroke();
+        // Centre hub
+        ctx.fillStyle = thicknessColor;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius * 0.08, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+        // Pointer at the top of the wheel, pointing down into it
+        const tipY = cy - radius + 14;
+        ctx.save();
+        ctx.fillStyle = palette[0]; // Use the first wheel color as accent
+        ctx.strokeStyle = centerLineColor;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(cx, tipY);
+        ctx.lineTo(cx - 14, tipY - 30);
+        ctx.lineTo(cx + 14, tipY - 30);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+
+        if (callout) {
+            drawLabelCallout(callout.text, callout.x, callout.y);
+        }
+
+        if (largeList) {
+            // Magnify the names around the pointer in the top left corner, clear of the wheel
+            const fullTurn = 2 * Math.PI;
+            const position = ((POINTER_ANGLE - angle) % fullTurn + fullTurn) % fullTurn;
+            drawMagnifier(items, layout, position, highlight, palette, groupColors, { x: 12, y: 12, width: 150 });
+        }
+    }
+
+    /**
+     * Calculate the index of the wedge currently under the pointer.
+     * Angle-based equivalent of getIndexAtCentre for the circular view.
+     * @param {{name: string, weight: number}[]} items
+     * @param {number} angle rotation applied to the wheel (radians)
+     * @param {number} pointerAngle direction to look in (defaults to the pointer)
+     * @returns {number} index of the wedge under the pointer
+     */
+    function getIndexAtPointer(items, angle, pointerAngle = POINTER_ANGLE) {
+        const fullTurn = 2 * Math.PI;
+        const layout = getSegmentLayout(items, fullTurn);
+        // Angle of the pointer measured from the wheel's own starting edge
+        const relativeAngle = (((pointerAngle - angle) % fullTurn) + fullTurn) % fullTurn;
+        return findSegmentAt(layout, relativeAngle);
+    }
+
+    /**
+     * Calculate the index of the segment currently under the centre line.
+     * @param {{name: string, weight: number}[]} items
+     * @param {number} offset
+     * @param {number} centerY height to look at (defaults to the centre line)
+     * @returns {number} index of the segment at the centre
+     */
+    function getIndexAtCentre(items, offset, centerY = canvas.height / 2) {
+        // Compute which segment is currently centered along the horizontal centre line
+        const ch = canvas.height;
+        const wheelHeight = ch * 0.8;
+        const layout = getSegmentLayout(items, wheelHeight);
+        const y = (ch - wheelHeight) / 2;
+        
+        // Calculate position relative to wheel start, accounting for offset
+        const relativePos = centerY - y - offset;
+        // Normalize to positive range and wrap around
+        const normalizedPos = ((relativePos % wheelHeight) + wheelHeight) % wheelHeight;
+        // Find which segment this position falls into
+        return findSegmentAt(layout, normalizedPos);
+    }
+
+    /**
+     * Initiates a spin animation. Chooses a random item, weighted by each
+     * entry's weight, as the winning segment (from the committed seed in
+     * provably fair mode) and rotates the wheel so that the winning segment
+     * ends up centred. The animation includes several full rotations before
+     * easing out to the final position. In physics mode the wheel is thrown
+     * instead and the winner is wherever it stops.
+     * @param {?number} flickSpeed - Speed of a drag/flick in turns per second
+     *   (physics mode); the spin button and automatic spins throw at random
+     */
+    function spinWheel(flickSpeed = null) {
+        if (isSpinning || currentItems.length === 0) {
+            return;
+        }
+        // A manual spin during the pause replaces the pending automatic one
+        clearTimeout(autoSpinTimer);
+        autoSpinTimer = null;
+
+        // Start a multi-winner draw; later spins of the draw continue it
+        if (!drawSequence && drawCount > 1) {
+            drawSequence = {
+                size: spinMode === 'remove' ? Math.min(drawCount, currentItems.length) : drawCount,
+                picks: [],
+                proofs: []
+            };
+        }
+
+        // In elimination mode a single remaining entry has already won;
+        // spinning again would record the same winner twice
+        if (isEliminationOver()) {
+            return;
+        }
+        
+        // Hide any existing overlay result
+        overlayResult.style.display = 'none';
+        
+        // Initialize audio context on first spin
+        initAudioContext();
+        
+        // Set the sound type for this spin session
+        setSpinSoundType();
+        playSound(spinStartSound);
+
+        if (isPhysicsSpinActive()) {
+            runPhysicsSpin(flickSpeed ?? getRandomThrowSpeed());
+            return;
+        }
+
+        if (fairMode) {
+            // The seeded pick needs async hashing; block other spins meanwhile
+            isSpinning = true;
+            runFairSpin();
+            return;
+        }
+
+        // Pick a random winning index, weighted by each entry's weight and
+        // the fairness rotation
+        animateSpinTo(pickWeightedIndex(getRotationWeightedItems(currentItems)));
+    }
+
+    /**
+     * Animates the wheel so that the segment at targetIndex ends up under
+     * the centre line or pointer, then applies the spin result
+     * @param {number} targetIndex index of the winning segment
+     */
+    function animateSpinTo(targetIndex) {
+        selectedIndex = targetIndex;
+        // The drum is positioned by a pixel offset and the circular wheel by
+        // an angle; one full turn of either is one period
+        const isCircular = wheelView === 'circle';
+        let finalPosition;
+        let period;
+        if (isCircular) {
+            period = 2 * Math.PI;
+            const segment = getSegmentLayout(currentItems, period)[selectedIndex];
+            // Rotate so the centre of the selected wedge sits under the pointer
+            finalPosition = POINTER_ANGLE - segment.start - segment.height / 2;
+        } else {
+            // Compute geometry for vertical orientation
+            const ch = canvas.height;
+            const wheelHeight = ch * 0.8;
+            const segment = getSegmentLayout(currentItems, wheelHeight)[selectedIndex];
+            const y = (ch - wheelHeight) / 2;
+            const centerY = ch / 2;
+            // Compute target offset that aligns selectedIndex under centre line
+            // Center of selectedIndex segment should be at: y + segment.start + segment.height / 2 + offset = centerY
+            // Therefore: offset = centerY - y - segment.start - segment.height / 2
+            finalPosition = centerY - y - segment.start - segment.height / 2;
+            period = wheelHeight;
+        }
+        // Add several full rotations
+        const targetPosition = finalPosition + spinRotations * period;
+        const startPosition = isCircular ? currentAngle : currentOffset;
+        const distance = targetPosition - startPosition;
+        const duration = getSpinDuration();
+        const ease = SPIN_EASINGS[spinEasing];
+        const startTime = performance.now();
+        isSpinning = true;
+        function animate(now) {
+            const elapsed = now - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            const position = startPosition + distance * ease(progress);
+            if (isCircular) {
+                currentAngle = position;
+            } else {
+                currentOffset = position;
+            }
+
+            // Check if we've crossed into a new segment and play tick sound,
+            // at most once per MIN_TICK_INTERVAL however small the segments are
+            const currentIndex = getCurrentIndex();
+            if (currentIndex !== lastTickIndex && isSpinning) {
+                lastTickIndex = currentIndex;
+                if (now - lastTickTime >= MIN_TICK_INTERVAL) {
+                    lastTickTime = now;
+                    playTickSound();
+                }
+            }
+
+            renderWheel();
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                // Normalize the position to stay within one period
+                const normalizedPosition = ((finalPosition % period) + period) % period;
+                if (isCircular) {
+                    currentAngle = normalizedPosition;
+                } else {
+                    currentOffset = normalizedPosition;
+                }
+                isSpinning = false;
+                lastTickIndex = -1; // Reset tick tracking
+                // Determine final selected index
+                const idx = getCurrentIndex();
+                selectedIndex = idx;
+                handleSpinResult();
+            }
+        }
+        requestAnimationFrame(animate);
+    }
+
+    // ================================
+    // PHYSICS SPIN FUNCTIONS
+    // ================================
+
+    // Speeds are in turns per second so the drum and the circle feel the same
+    const SPIN_FRICTION = 0.6; // Steady slowdown (turns per second, per second)
+    const PEG_FRICTION = 0.004; // Share of the speed lost on each peg (segment boundary)
+    const MIN_SPIN_SPEED = 0.02; // Below this the wheel has stopped
+    const MIN_FLICK_SPEED = 0.3; // Slower releases just leave the wheel where it was dropped
+    const MAX_FLICK_SPEED = 4;
+    const FLICK_SAMPLE_WINDOW = 100; // Pointer movement (ms) used to measure a flick
+
+    /**
+     * Gets the length of one full turn of the current view, in the units of
+     * currentOffset (drum, pixels) or currentAngle (circle, radians)
+     * @returns {number}
+     */
+    function getWheelPeriod() {
+        return wheelView === 'circle' ? 2 * Math.PI : canvas.height * 0.8;
+    }
+
+    /**
+     * Gets the wheel's position in the current view
+     * @returns {number}
+     */
+    function getWheelPosition() {
+        return wheelView === 'circle' ? currentAngle : currentOffset;
+    }
+
+    /**
+     * Moves the wheel in the current view
+     * @param {number} position
+     */
+    function setWheelPosition(position) {
+        if (wheelView === 'circle') {
+            currentAngle = position;
+        } else {
+            currentOffset = position;
+        }
+    }
+
+    /**
+     * Picks a speed for throwing the wheel without a gesture
+     * @returns {number} - Turns per second
+     */
+    function getRandomThrowSpeed() {
+        return 1.5 + Math.random();
+    }
+
+    /**
+     * Lets the wheel run freely from the given speed until friction and the
+     * pegs stop it, ticking at every segment boundary, then applies the spin
+     * result to whatever segment it stopped on
+     * @param {number} speed - Turns per second; the sign gives the direction
+     */
+    function runPhysicsSpin(speed) {
+        const period = getWheelPeriod();
+        // Thousands of pegs would stop a big wheel dead, so only small wheels have them
+        const pegFriction = isLargeList(currentItems) ? 0 : PEG_FRICTION;
+        let lastTime = performance.now();
+        lastTickIndex = getCurrentIndex();
+        isSpinning = true;
+
+        function step(now) {
+            // Cap the step so a frame after a background tab does not jump ahead
+            const dt = Math.min(now - lastTime, 50) / 1000;
+            lastTime = now;
+            setWheelPosition(getWheelPosition() + speed * period * dt);
+
+            const slowdown = SPIN_FRICTION * dt;
+            speed = Math.abs(speed) <= slowdown ? 0 : speed - Math.sign(speed) * slowdown;
+
+            const currentIndex = getCurrentIndex();
+            if (currentIndex !== lastTickIndex) {
+                lastTickIndex = currentIndex;
+                speed *= 1 - pegFriction;
+                if (now - lastTickTime >= MIN_TICK_INTERVAL) {
+                    lastTickTime = now;
+                    playTickSound();
+                }
+            }
+
+            renderWheel();
+            if (Math.abs(speed) > MIN_SPIN_SPEED) {
+                requestAnimationFrame(step);
+            } else {
+                // Normalize the position to stay within one period
+                setWheelPosition(((getWheelPosition() % period) + period) % period);
+                isSpinning = false;
+                lastTickIndex = -1; // Reset tick tracking
+                selectedIndex = getCurrentIndex();
+                handleSpinResult();
+            }
+        }
+        requestAnimationFrame(step);
+    }
+
+    /**
+     * Converts a pointer event to the wheel position it points at: the height
+     * on the drum, or the angle around the centre of the circle
+     * @param {PointerEvent} e
+     * @returns {number}
+     */
+    function getPointerWheelPosition(e) {
+        const rect = canvas.getBoundingClientRect();
+        const px = (e.clientX - rect.left) * canvas.width / rect.width;
+        const py = (e.clientY - rect.top) * canvas.height / rect.height;
+        if (wheelView === 'circle') {
+            // Same centre as drawCircularWheel
+            return Math.atan2(py - (canvas.height / 2 + 10), px - canvas.width / 2);
+        }
+        return py;
+    }
+
+    /**
+     * Starts dragging the wheel with the mouse or a finger (physics mode)
+     * @param {PointerEvent} e
+     */
+    function startWheelDrag(e) {
+        if (!isPhysicsSpinActive() || isSpinning || runnerGameActive || currentItems.length === 0) {
+            return;
+        }
+        // A drag during the pause replaces the pending automatic spin
+        clearTimeout(autoSpinTimer);
+        autoSpinTimer = null;
+        canvas.setPointerCapture(e.pointerId);
+        canvas.classList.add('dragging');
+        const position = getPointerWheelPosition(e);
+        dragState = {
+            pointerId: e.pointerId,
+            lastPointer: position,
+            samples: [{ time: e.timeStamp, position: getWheelPosition() }]
+        };
+        overlayResult.style.display = 'none';
+        initAudioContext();
+        setSpinSoundType();
+        lastTickIndex = getCurrentIndex();
+    }
+
+    /**
+     * Moves the wheel along with the pointer, ticking past the pegs
+     * @param {PointerEvent} e
+     */
+    function moveWheelDrag(e) {
+        if (!dragState || e.pointerId !== dragState.pointerId) {
+            return;
+        }
+        const pointer = getPointerWheelPosition(e);
+        let delta = pointer - dragState.lastPointer;
+        if (wheelView === 'circle') {
+            // Unwrap angles that cross from +π to -π
+            delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+        }
+        dragState.lastPointer = pointer;
+        setWheelPosition(getWheelPosition() + delta);
+
+        dragState.samples.push({ time: e.timeStamp, position: getWheelPosition() });
+        dragState.samples = dragState.samples.filter(sample => e.timeStamp - sample.time <= FLICK_SAMPLE_WINDOW);
+
+        const currentIndex = getCurrentIndex();
+        if (currentIndex !== lastTickIndex) {
+            lastTickIndex = currentIndex;
+            if (e.timeStamp - lastTickTime >= MIN_TICK_INTERVAL) {
+                lastTickTime = e.timeStamp;
+                playTickSound();
+            }
+        }
+        renderWheel();
+    }
+
+    /**
+     * Releases the wheel: a flick throws it with the speed of the last
+     * movement, a slow release leaves it where it is without a result
+     * @param {PointerEvent} e
+     */
+    function endWheelDrag(e) {
+        if (!dragState || e.pointerId !== dragState.pointerId) {
+            return;
+        }
+        const { samples } = dragState;
+        dragState = null;
+        canvas.classList.remove('dragging');
+        lastTickIndex = -1;
+
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const elapsed = e.timeStamp - first.time;
+        const speed = elapsed > 0 && e.type === 'pointerup'
+            ? (last.position - first.position) / getWheelPeriod() / (elapsed / 1000)
+            : 0;
+
+        // A flick spins like the Spin button, so it is ignored while that is disabled
+        if (Math.abs(speed) >= MIN_FLICK_SPEED && !spinBtn.disabled) {
+            spinWheel(Math.sign(speed) * Math.min(Math.abs(speed), MAX_FLICK_SPEED));
+        } else {
+            // Keep the dropped position within one period like a finished spin
+            const period = getWheelPeriod();
+            setWheelPosition(((getWheelPosition() % period) + period) % period);
+        }
+    }
+
+    /**
+     * Physics spin preference functions
+     */
+    function setPhysicsSpin(enabled) {
+        physicsSpin = enabled;
+        physicsToggle.checked = enabled;
+        localStorage.setItem('wheelGenerator_physicsSpin', enabled.toString());
+        updatePhysicsAvailability();
+    }
+
+    /**
+     * Disables the drag-to-spin toggle, with a visible note, while provably
+     * fair spins or the winner rotation decide the odds. The canvas only
+     * offers dragging while physics spins are actually used.
+     */
+    function updatePhysicsAvailability() {
+        let reason = '';
+        if (fairMode) {
+            reason = 'off while provably fair spins are on';
+        } else if (rotationMode !== 'off') {
+            reason = 'off while recent winners get lower odds or are skipped';
+        }
+        physicsToggle.disabled = reason !== '';
+        physicsLabel.classList.toggle('unavailable', reason !== '');
+        physicsNote.textContent = reason;
+        physicsNote.hidden = reason === '';
+        canvas.classList.toggle('physics', isPhysicsSpinActive());
+    }
+
+    /**
+     * Checks whether spins are decided by friction. Provably fair spins and
+     * the winner rotation pick by their own odds, so they spin the usual way.
+     * @returns {boolean}
+     */
+    function isPhysicsSpinActive() {
+        return physicsSpin && !fairMode && rotationMode === 'off';
+    }
+
+    function loadPhysicsSpinPreference() {
+        if (localStorage.getItem('wheelGenerator_physicsSpin') === 'true') {
+            setPhysicsSpin(true);
+        }
+    }
+
+    /**
+     * Builds a message around a name, e.g. "🎉 {name} 🎉". The name is
+     * bold, and both the name and the message are added as text, so markup
+     * in either is shown rather than run.
+     * @param {string} template - Message with {name} where the name goes
+     * @param {string} name
+     * @returns {DocumentFragment}
+     */
+    function buildNameMessage(template, name) {
+        const fragment = document.createDocumentFragment();
+        template.split('{name}').forEach((part, index) => {
+            if (index > 0) {
+                const strong = document.createElement('strong');
+                strong.textContent = name;
+                fragment.appendChild(strong);
+            }
+            fragment.appendChild(document.createTextNode(part));
+        });
+        return fragment;
+    }
+
+    /**
+     * Shows the given content in the result overlay with the appear animation
+     * @param {Node} resultContent - Built with buildNameMessage or buildDrawResults
+     */
+    function showResult(resultContent) {
+        // Show overlay with the content and keep it visible
+        overlayResult.replaceChildren(resultContent);
+        overlayResult.style.animation = 'none';
+        overlayResult.offsetWidth; // force reflow to restart animation
+        overlayResult.style.display = 'block';
+        // Trigger appear animation
+        overlayResult.style.animation = 'overlayAppear 0.5s forwards';
+    }
+
+    /**
+     * Applies the current spin mode to the segment at selectedIndex once a
+     * spin has finished: the winner is removed, kept, or knocked out.
+     */
+    function handleSpinResult() {
+        const selectedValue = currentItems[selectedIndex].name;
+
+        const proof = takeFairProof();
+        // Elimination spins pick who goes out; only the last one standing counts as picked
+        if (spinMode !== 'elimination') {
+            recordRotationPick(selectedValue);
+        }
+        if (drawSequence) {
+            drawSequence.picks.push(selectedValue);
+            if (proof) {
+                drawSequence.proofs.push(proof);
+            }
+        }
+
+        if (spinMode === 'keep') {
+            // Leave the wheel unchanged and keep the winner highlighted
+            renderWheel(selectedIndex);
+            saveWheelState();
+            if (advanceDraw()) {
+                return;
+            }
+            showResult(buildWinnerMessage(selectedValue, '🎉 {name} 🎉'));
+            celebrateWinner();
+            recordSpinResult(selectedValue, currentItems.map(item => item.name), proof ? { proof } : {});
+            announce(`${selectedValue} wins. ${formatRemainingCount(currentItems.length)} on the wheel.`);
+            return;
+        }
+
+        // Remove selected item
+        recordUndo(spinMode === 'elimination'
+            ? `Knocked "${selectedValue}" out`
+            : `Removed "${selectedValue}" from the wheel`, true);
+        currentItems.splice(selectedIndex, 1);
+        // Reset offset for next spin
+        currentOffset = 0;
+        currentAngle = 0;
+        selectedIndex = null;
+
+        if (spinMode === 'elimination') {
+            renderWheel();
+            saveWheelState();
+            if (currentItems.length === 1) {
+                announceEliminationWinner();
+            } else {
+                showResult(buildNameMessage('❌ {name} is out', selectedValue));
+                announce(`${selectedValue} is out. ${formatRemainingCount(currentItems.length)} remaining.`);
+                // Keep spinning until only one entry is left
+                autoSpinTimer = setTimeout(() => {
+                    autoSpinTimer = null;
+                    spinWheel();
+                }, AUTO_SPIN_DELAY);
+            }
+            return;
+        }
+
+        if (currentItems.length > 0) {
+            renderWheel();
+        } else {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            describeWheel();
+            // Clear wheel state when no items remain
+            clearWheelState();
+        }
+
+        // Save the updated wheel state (with removed item)
+        saveWheelState();
+
+        if (advanceDraw()) {
+            return;
+        }
+        showResult(buildWinnerMessage(selectedValue, '🎉 {name} 🎉'));
+        celebrateWinner();
+        recordSpinResult(selectedValue, currentItems.map(item => item.name), proof ? { proof } : {});
+        announce(`${selectedValue} wins. ${formatRemainingCount(currentItems.length)} remaining.`);
+    }
+
+    /**
+     * Announces the last entry standing in elimination mode as the winner.
+     * In a multi-winner draw the places below it go to the entries knocked
+     * out last.
+     */
+    function announceEliminationWinner() {
+        selectedIndex = 0;
+        const winner = currentItems[0].name;
+        renderWheel(selectedIndex);
+        recordRotationPick(winner);
+
+        if (drawSequence && drawSequence.size > 1) {
+            const ranking = [winner, ...drawSequence.picks.slice().reverse()].slice(0, drawSequence.size);
+            finishDraw(ranking);
+            return;
+        }
+        drawSequence = null;
+        showResult(buildWinnerMessage(winner, '🏆 {name} wins! 🏆'));
+        celebrateWinner();
+        // The winner is still on the wheel
+        recordSpinResult(winner, currentItems.map(item => item.name));
+        announce(`${winner} is the last one standing and wins.`);
+        updateSpinButtonState();
+    }
+
+    /**
+     * Checks whether an elimination round is over, leaving only its winner
+     * @returns {boolean}
+     */
+    function isEliminationOver() {
+        return spinMode === 'elimination' && currentItems.length === 1;
+    }
+
+    // ================================
+    // MULTI-WINNER DRAW FUNCTIONS
+    // ================================
+
+    /**
+     * Formats a place as an ordinal, e.g. 1st, 2nd, 3rd, 11th, 22nd
+     * @param {number} place
+     * @returns {string}
+     */
+    function formatOrdinal(place) {
+        const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+        return `${place}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(place)]}`;
+    }
+
+    /**
+     * Builds the ranked results list shown in the overlay during and after a draw
+     * @param {string[]} ranking - Winners, first place first
+     * @param {string} heading - Title above the list
+     * @returns {HTMLElement} - Content for showResult
+     */
+    function buildDrawResults(ranking, heading) {
+        const medals = ['🥇', '🥈', '🥉'];
+        const results = document.createElement('div');
+        results.className = 'draw-results';
+
+        const title = document.createElement('div');
+        title.className = 'draw-heading';
+        title.textContent = heading;
+
+        const list = document.createElement('ol');
+        ranking.forEach((name, index) => {
+            const row = document.createElement('li');
+            const place = document.createElement('span');
+            place.className = 'draw-place';
+            place.textContent = `${medals[index] || ''} ${formatOrdinal(index + 1)}`;
+            const winner = document.createElement('strong');
+            winner.textContent = name;
+            row.append(place, ' ', winner);
+            list.appendChild(row);
+        });
+
+        results.append(title, list);
+        return results;
+    }
+
+    /**
+     * Continues a multi-winner draw after a spin in keep or remove mode:
+     * schedules the next spin, or finishes once enough winners are picked
+     * or the wheel is empty
+     * @returns {boolean} - False when no draw is running
+     */
+    function advanceDraw() {
+        if (!drawSequence) {
+            return false;
+        }
+        const { picks, size } = drawSequence;
+        if (picks.length >= size || currentItems.length === 0) {
+            finishDraw(picks);
+            return true;
+        }
+
+        showResult(buildDrawResults(picks, `Drawing ${picks.length + 1} of ${size}…`));
+        announce(`${picks[picks.length - 1]} is ${formatOrdinal(picks.length)}. Drawing ${picks.length + 1} of ${size}.`);
+        autoSpinTimer = setTimeout(() => {
+            autoSpinTimer = null;
+            spinWheel();
+        }, AUTO_SPIN_DELAY);
+        return true;
+    }
+
+    /**
+     * Shows the final ranked results of a draw and stores them as one
+     * history entry
+     * @param {string[]} ranking - Winners, first place first
+     */
+    function finishDraw(ranking) {
+        const details = { winners: [...ranking] };
+        if (drawSequence.proofs.length > 0) {
+            details.proofs = drawSequence.proofs;
+        }
+        drawSequence = null;
+
+        showResult(buildDrawResults(ranking, '🏆 Winners 🏆'));
+        celebrateWinner();
+        recordSpinResult(ranking[0], currentItems.map(item => item.name), details);
+        announce(`Draw complete. ${ranking.map((name, index) => `${formatOrdinal(index + 1)}: ${name}`).join(', ')}.`);
+    }
+
+    // ================================
+    // CELEBRATION FUNCTIONS
+    // ================================
+
+    // How long confetti or fireworks run before fading out (ms)
+    const CELEBRATION_DURATION = 3500;
+    const CELEBRATION_FADE = 600;
+
+    // Notes of the winner fanfare: [frequency (Hz), start (s), length (s)]
+    const FANFARE_NOTES = [
+        [523.25, 0, 0.12],
+        [659.25, 0.12, 0.12],
+        [783.99, 0.24, 0.12],
+        [1046.5, 0.36, 0.5],
+        [783.99, 0.36, 0.5]
+    ];
+
+    /**
+     * Checks whether the user asked the system for less motion
+     * @returns {boolean}
+     */
+    function prefersReducedMotion() {
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Fills the result template with the winner's name
+     * @param {string} name - The winner
+     * @param {string} fallback - Built-in message used when no template is set
+     * @returns {DocumentFragment} - Content for showResult
+     */
+    function buildWinnerMessage(name, fallback) {
+        return buildNameMessage(resultTemplate || fallback, name);
+    }
+
+    /**
+     * Runs the enabled celebration effects for a winner. Confetti and
+     * fireworks are skipped when reduced motion is preferred.
+     */
+    function celebrateWinner() {
+        if (celebrationEffect !== 'none' && !prefersReducedMotion()) {
+            runCelebration(celebrationEffect);
+        }
+        if (fanfareEnabled) {
+            playSound(winSound);
+        }
+    }
+
+    /**
+     * Plays a short rising fanfare through the shared audio context
+     */
+    function playFanfare() {
+        if (!audioContext || isMuted) return;
+
+        try {
+            const startTime = audioContext.currentTime;
+            FANFARE_NOTES.forEach(([frequency, offset, length]) => {
+                const oscillator = audioContext.createOscillator();
+                const gainNode = audioContext.createGain();
+                oscillator.type = 'triangle';
+                oscillator.connect(gainNode);
+                gainNode.connect(audioContext.destination);
+
+                const noteStart = startTime + offset;
+                oscillator.frequency.setValueAtTime(frequency, noteStart);
+                gainNode.gain.setValueAtTime(0, noteStart);
+                gainNode.gain.linearRampToValueAtTime(0.25, noteStart + 0.02);
+                gainNode.gain.setValueAtTime(0.25, noteStart + length * 0.6);
+                gainNode.gain.exponentialRampToValueAtTime(0.01, noteStart + length);
+                oscillator.start(noteStart);
+                oscillator.stop(noteStart + length);
+            });
+        } catch (e) {
+            console.warn('Error playing fanfare:', e);
+        }
+    }
+
+    /**
+     * Creates the particles of one firework burst
+     * @param {number} x - Centre of the burst
+     * @param {number} y
+     * @param {string} color
+     * @param {number} delay - When the burst goes off (ms after the start)
+     * @returns {Object[]}
+     */
+    function createFireworkBurst(x, y, color, delay) {
+        return Array.from({ length: 50 }, (_, i) => {
+            const angle = (i / 50) * 2 * Math.PI;
+            const speed = 2 + Math.random() * 3;
+            return {
+                x, y, color, delay,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                size: 3,
+                strip: false,
+                spin: 0,
+                rotation: 0,
+                drag: 0.96,
+                gravity: 0.05
+            };
+        });
+    }
+
+    /**
+     * Animates confetti or fireworks over the page on the celebration canvas
+     * @param {string} effect - 'confetti' or 'fireworks'
+     */
+    function runCelebration(effect) {
+        if (celebrationFrame !== null) {
+            cancelAnimationFrame(celebrationFrame);
+        }
+        const width = celebrationCanvas.width = window.innerWidth;
+        const height = celebrationCanvas.height = window.innerHeight;
+        const celebrationCtx = celebrationCanvas.getContext('2d');
+        const palette = getWheelColorPalette();
+        const randomColor = () => palette[Math.floor(Math.random() * palette.length)];
+
+        let particles;
+        if (effect === 'fireworks') {
+            particles = Array.from({ length: 5 }, (_, burst) => createFireworkBurst(
+                width * (0.2 + Math.random() * 0.6),
+                height * (0.2 + Math.random() * 0.3),
+                randomColor(),
+                burst * 450
+            )).flat();
+        } else {
+            particles = Array.from({ length: 160 }, () => ({
+                x: Math.random() * width,
+                y: -20 - Math.random() * height * 0.5,
+                vx: (Math.random() - 0.5) * 3,
+                vy: 2 + Math.random() * 3,
+                color: randomColor(),
+                size: 6 + Math.random() * 6,
+                strip: true,
+                rotation: Math.random() * Math.PI,
+                spin: (Math.random() - 0.5) * 0.3,
+                drag: 0.995,
+                gravity: 0.06,
+                delay: 0
+            }));
+        }
+
+        const startTime = performance.now();
+        function draw(now) {
+            const elapsed = now - startTime;
+            celebrationCtx.clearRect(0, 0, width, height);
+            celebrationCtx.globalAlpha = Math.min(1, (CELEBRATION_DURATION - elapsed) / CELEBRATION_FADE);
+
+            particles.forEach(particle => {
+                if (elapsed < particle.delay) return;
+                particle.vx *= particle.drag;
+                particle.vy = particle.vy * particle.drag + particle.gravity;
+                particle.x += particle.vx;
+                particle.y += particle.vy;
+                particle.rotation += particle.spin;
+
+                celebrationCtx.save();
+                celebrationCtx.translate(particle.x, particle.y);
+                celebrationCtx.rotate(particle.rotation);
+                celebrationCtx.fillStyle = particle.color;
+                // Confetti are paper strips; firework sparks are square dots
+                const particleHeight = particle.strip ? particle.size / 2 : particle.size;
+                celebrationCtx.fillRect(-particle.size / 2, -particleHeight / 2, particle.size, particleHeight);
+                celebrationCtx.restore();
+            });
+
+            if (elapsed < CELEBRATION_DURATION) {
+                celebrationFrame = requestAnimationFrame(draw);
+            } else {
+                celebrationCtx.clearRect(0, 0, width, height);
+                celebrationFrame = null;
+            }
+        }
+        celebrationFrame = requestAnimationFrame(draw);
+    }
+
+    /**
+     * Celebration preference functions
+     */
+    function setCelebrationEffect(effect) {
+        celebrationEffect = ['confetti', 'fireworks', 'none'].includes(effect) ? effect : 'confetti';
+        celebrationEffectSelect.value = celebrationEffect;
+        localStorage.setItem('wheelGenerator_celebrationEffect', celebrationEffect);
+    }
+
+    function setFanfareEnabled(enabled) {
+        fanfareEnabled = enabled;
+        fanfareToggle.checked = enabled;
+        localStorage.setItem('wheelGenerator_fanfare', enabled.toString());
+    }
+
+    function setResultTemplate(template) {
+        resultTemplate = template.trim();
+        resultTemplateInput.value = resultTemplate;
+        localStorage.setItem('wheelGenerator_resultTemplate', resultTemplate);
+    }
+
+    function loadCelebrationSettings() {
+        setCelebrationEffect(localStorage.getItem('wheelGenerator_celebrationEffect') || celebrationEffect);
+        setFanfareEnabled(localStorage.getItem('wheelGenerator_fanfare') !== 'false');
+        setResultTemplate(localStorage.getItem('wheelGenerator_resultTemplate') || '');
+    }
+
+    // ================================
+    // ACCESSIBILITY FUNCTIONS
+    // ================================
+
+    /**
+     * Reads a message out through the ARIA live region
+     * @param {string} message - Text for screen readers to announce
+     */
+    function announce(message) {
+        // Clear first so repeating the same text is still announced
+        wheelAnnouncer.textContent = '';
+        setTimeout(() => {
+            wheelAnnouncer.textContent = message;
+        }, 100);
+    }
+
+    /**
+     * Formats how many entries are left, e.g. "1 entry" or "4 entries"
+     * @param {number} count
+     * @returns {string}
+     */
+    function formatRemainingCount(count) {
+        return `${count} ${count === 1 ? 'entry' : 'entries'}`;
+    }
+
+    /**
+     * Updates the canvas text alternative: its label and the hidden list of
+     * segments in the order they appear on the wheel
+     * @param {?number} highlight - Index of the highlighted winner, if any
+     */
+    function describeWheel(highlight = null) {
+        wheelDescription.replaceChildren();
+        if (currentItems.length === 0) {
+            canvas.setAttribute('aria-label', 'Wheel is empty. Add names and generate a wheel.');
+            return;
+        }
+
+        canvas.setAttribute('aria-label', `Wheel with ${formatRemainingCount(currentItems.length)}`);
+        currentItems.forEach((item, index) => {
+            const segment = document.createElement('li');
+            let text = item.name;
+            if (item.weight !== 1) {
+                text += `, weight ${item.weight}`;
+            }
+            if (index === highlight) {
+                text += ' (winner)';
+            }
+            segment.textContent = text;
+            wheelDescription.appendChild(segment);
+        });
+    }
+
+    /**
+     * Checks whether a key press belongs to a form field or button rather
+     * than the page-wide shortcuts
+     * @param {EventTarget} target - The element that received the key press
+     * @returns {boolean}
+     */
+    function isEditableTarget(target) {
+        return target instanceof Element &&
+            (target.isContentEditable || target.matches('input, textarea, select, button'));
+    }
+
+    /**
+     * Handles the page-wide keyboard shortcuts: Space or S spins, G generates,
+     * R resets and M toggles the sound
+     * @param {KeyboardEvent} e
+     */
+    function handleShortcutKey(e) {
+        if (runnerGameActive || e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) {
+            return;
+        }
+
+        const shortcuts = {
+            ' ': spinBtn,
+            s: spinBtn,
+            g: generateBtn,
+            r: resetBtn,
+            m: muteBtn
+        };
+        const button = shortcuts[e.key.toLowerCase()];
+        if (button) {
+            e.preventDefault();
+            button.click();
+        }
+    }
+
+    /**
+     * Moves keyboard focus to a tag's remove button after the tags were
+     * re-rendered, or back to the input when no tags are left
+     * @param {number} index - Index of the tag to focus
+     */
+    function focusTagRemoveButton(index) {
+        const buttons = tagsDisplay.querySelectorAll('.tag-remove');
+        if (buttons.length === 0) {
+            tagInput.focus();
+            return;
+        }
+        buttons[Math.min(index, buttons.length - 1)].focus();
+    }
+
+    /**
+     * Builds a new wheel from the current tags in a random order
+     */
+    function generateWheel() {
+        // The running spin would pick from, and remove from, the new wheel
+        if (isSpinning) {
+            return;
+        }
+        cancelAutoSpin();
+
+        // The page may have been left open past the end of the day
+        refreshExclusions();
+        const items = getCurrentTags();
+        if (items.length === 0) {
+            alert(namesTags.length > 0
+                ? 'Everyone is sitting out. Use "Everyone back" to bring them back onto the wheel.'
+                : 'Please add at least one name or number to generate the wheel.');
+            return;
+        }
+        recordUndo('Generated a new wheel');
+        // Randomize the order of entries before displaying
+        shuffleArray(items);
+        currentItems = items;
+        // Keep a copy of the original (shuffled) list so we can reset later
+        originalItems = items.slice();
+        currentOffset = 0;
+        currentAngle = 0;
+        selectedIndex = null;
+        isSpinning = false;
+        lastTickIndex = -1; // Reset tick tracking
+        renderWheel();
+
+        // Save the current wheel state
+        saveWheelState();
+    }
+
+    // ================================
+    // PROVABLY FAIR SPINS
+    // ================================
+
+    /**
+     * Converts bytes to a lowercase hex string
+     * @param {ArrayBuffer|Uint8Array} bytes
+     * @returns {string}
+     */
+    function bytesToHex(bytes) {
+        return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Computes the SHA-256 hash of a string
+     * @param {string} text
+     * @returns {Promise<ArrayBuffer>}
+     */
+    function sha256(text) {
+        return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    }
+
+    /**
+     * Generates a fresh seed for the next fair spin and publishes its
+     * SHA-256 commitment, so the seed cannot be changed after the fact.
+     * Spinning stays disabled until the commitment is shown; failures are
+     * reported in the fair panel instead of rejecting.
+     * @returns {Promise<void>}
+     */
+    function commitNextFairSeed() {
+        pendingFairSeed = null;
+        fairCommitment.textContent = 'Generating…';
+        updateSpinButtonState();
+
+        const commit = (async () => {
+            const seed = bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+            const commitment = bytesToHex(await sha256(seed));
+            // A newer commitment may have been requested in the meantime
+            if (fairCommitPromise === commit) {
+                pendingFairSeed = { seed, commitment };
+                fairCommitment.textContent = commitment;
+            }
+        })().catch(e => {
+            console.warn('Could not commit a provably fair seed:', e);
+            if (fairCommitPromise === commit) {
+                fairCommitment.textContent = 'Unavailable: this browser cannot hash seeds (a secure https:// page is needed).';
+            }
+        }).finally(() => {
+            if (fairCommitPromise === commit) {
+                fairCommitPromise = null;
+                updateSpinButtonState();
+            }
+        });
+        fairCommitPromise = commit;
+        return commit;
+    }
+
+    /**
+     * Expands a seed into deterministic numbers in [0, 1). Block k is
+     * SHA-256("<seed>:<k>"), read as big-endian 32-bit words.
+     * @param {string} seed - Hex seed
+     * @param {number} count - How many numbers are needed
+     * @returns {Promise<number[]>}
+     */
+    async function deriveSeededRandoms(seed, count) {
+        const randoms = [];
+        for (let block = 0; randoms.length < count; block++) {
+            const view = new DataView(await sha256(`${seed}:${block}`));
+            for (let word = 0; word < 8 && randoms.length < count; word++) {
+                randoms.push(view.getUint32(word * 4) / 2 ** 32);
+            }
+        }
+        return randoms;
+    }
+
+    /**
+     * Replays a fair spin: shuffles the entries with the first n - 1 seeded
+     * numbers, then makes the weighted pick with the last one
+     * @param {string} seed - Hex seed
+     * @param {{name: string, weight: number}[]} entries - Wheel entries before the spin
+     * @returns {Promise<{order: Array, winnerIndex: number}>}
+     */
+    async function replayFairSpin(seed, entries) {
+        const randoms = await deriveSeededRandoms(seed, entries.length);
+        const order = entries.map(entry => ({ ...entry }));
+        let next = 0;
+        shuffleArray(order, () => randoms[next++]);
+        const winnerIndex = pickWeightedIndex(order, randoms[entries.length - 1]);
+        return { order, winnerIndex };
+    }
+
+    /**
+     * Runs a seeded spin using the seed committed before it, then starts
+     * the animation towards the seeded winner
+     */
+    async function runFairSpin() {
+        try {
+            // Automatic spins (elimination, draws) wait for the commitment to be shown
+            if (!pendingFairSeed && fairCommitPromise) {
+                await fairCommitPromise;
+            }
+            if (!pendingFairSeed) {
+                throw new Error('No seed was committed before the spin');
+            }
+            const { seed, commitment } = pendingFairSeed;
+            pendingFairSeed = null;
+
+            // The proof lists the odds actually used, including any rotation adjustment
+            const entries = getRotationWeightedItems(currentItems).map(item => ({ name: item.name, weight: item.weight }));
+            const { order, winnerIndex } = await replayFairSpin(seed, entries);
+            // Keep any extra tag data (e.g. source group) while taking the seeded order
+            const remainingItems = currentItems.slice();
+            currentItems = order.map(entry => {
+                const matchIndex = remainingItems.findIndex(item => item.name === entry.name);
+                return remainingItems.splice(matchIndex, 1)[0];
+            });
+
+            lastFairProof = { commitment, seed, entries, winner: order[winnerIndex].name };
+            isSpinning = false;
+            animateSpinTo(winnerIndex);
+        } catch (e) {
+            console.warn('Provably fair spin failed:', e);
+            isSpinning = false;
+            cancelAutoSpin();
+            alert('The provably fair spin could not run: no seed could be committed in this browser.');
+        }
+    }
+
+    /**
+     * Reveals the seed of the spin that just finished, stores its proof for
+     * the history and commits the seed for the next spin
+     * @returns {?Object} - The proof, or null if the spin was not seeded
+     */
+    function takeFairProof() {
+        const proof = lastFairProof;
+        lastFairProof = null;
+        if (!proof) {
+            return null;
+        }
+        fairRevealedSeed.textContent = proof.seed;
+        fillVerifyForm(proof);
+        commitNextFairSeed();
+        return proof;
+    }
+
+    /**
+     * Prefills the verification view with a proof
+     * @param {Object} proof - Commitment, seed and entries of a fair spin
+     */
+    function fillVerifyForm(proof) {
+        verifyCommitment.value = proof.commitment;
+        verifySeed.value = proof.seed;
+        verifyEntries.value = proof.entries
+            .map(entry => (entry.weight === 1 ? entry.name : `${entry.name} x${entry.weight}`))
+            .join('\n');
+        verifyResult.textContent = '';
+    }
+
+    /**
+     * Checks a fair spin: the seed must match the commitment, and replaying
+     * the shuffle and pick from the seed and entries shows the winner
+     */
+    async function verifyFairSpin() {
+        const commitment = verifyCommitment.value.trim().toLowerCase();
+        const seed = verifySeed.value.trim();
+        const entries = verifyEntries.value
+            .split('\n')
+            .map(line => {
+                // Entries skipped by the fairness rotation are listed as "Name x0"
+                const skipped = line.trim().match(/^(.+?)\s+[x×*]\s*0$/i);
+                return skipped ? { name: skipped[1].trim(), weight: 0 } : parseTagText(line);
+            })
+            .filter(Boolean)
+            .map(tag => ({ name: tag.name, weight: tag.weight }));
+
+        verifyResult.replaceChildren();
+        if (!seed || entries.length === 0) {
+            verifyResult.textContent = 'Enter the revealed seed and the entries that were on the wheel.';
+            return;
+        }
+
+        let hash;
+        let order;
+        let winnerIndex;
+        try {
+            hash = bytesToHex(await sha256(seed));
+            ({ order, winnerIndex } = await replayFairSpin(seed, entries));
+        } catch (e) {
+            console.warn('Fair spin verification failed:', e);
+            const failLine = document.createElement('p');
+            failLine.className = 'verify-fail';
+            failLine.textContent = '❌ Could not verify this spin: this browser cannot hash seeds (a secure https:// page is needed).';
+            verifyResult.replaceChildren(failLine);
+            return;
+        }
+
+        const hashLine = document.createElement('p');
+        hashLine.className = hash === commitment ? 'verify-ok' : 'verify-fail';
+        hashLine.textContent = hash === commitment
+            ? '✅ Seed matches the published commitment'
+            : `❌ Seed does not match the commitment (its hash is ${hash})`;
+
+        const orderLine = document.createElement('p');
+        orderLine.textContent = `Shuffled order: ${order.map(entry => entry.name).join(', ')}`;
+
+        const winnerLine = document.createElement('p');
+        winnerLine.className = 'verify-winner';
+        winnerLine.textContent = `Winner: ${order[winnerIndex].name}`;
+
+        verifyResult.replaceChildren(hashLine, orderLine, winnerLine);
+    }
+
+    /**
+     * Provably fair mode preference functions
+     */
+    function setFairMode(enabled) {
+        fairMode = enabled;
+        fairModeToggle.checked = enabled;
+        fairPanel.hidden = !enabled;
+        localStorage.setItem('wheelGenerator_fairMode', enabled.toString());
+
+        if (enabled && !pendingFairSeed && !fairCommitPromise) {
+            commitNextFairSeed();
+        }
+        updateSpinButtonState();
+        updatePhysicsAvailability();
     }
 
     /**
-     * Initiates a spin animation. Chooses a random item as the winning segment
-     * and rotates the wheel so that the winning segment ends up centred. The
-     * animation includes several full rotations before easing out to the final
-     * position.
+     * Disables the Spin button while a fair spin's commitment is not shown
+     * yet, and once an elimination round has its winner
      */
-    function spinWheel() {
-        if (isSpinning || currentItems.length === 0) {
-            return;
+    function updateSpinButtonState() {
+        const awaitingCommitment = fairMode && !pendingFairSeed;
+        const eliminationOver = isEliminationOver();
+        spinBtn.disabled = awaitingCommitment || eliminationOver;
+        if (eliminationOver) {
+            spinBtn.title = 'The elimination round is over: reset the wheel to play again';
+        } else if (awaitingCommitment) {
+            spinBtn.title = 'Waiting for the next spin commitment to be published';
+        } else {
+            spinBtn.title = 'Spin (Space or S)';
         }
-        
-        // Hide any existing overlay result
-        overlayResult.style.display = 'none';
-        
-        // Initialize audio context on first spin
-        initAudioContext();
-        
-        // Set the sound type for this spin session
-        setSpinSoundType();
-        
-        // Pick a random winning index
-        selectedIndex = Math.floor(Math.random() * currentItems.length);
-        // Compute geometry for vertical orientation
-        const ch = canvas.height;
-        const wheelHeight = ch * 0.8;
-        const segHeight = wheelHeight / currentItems.length;
-        const y = (ch - wheelHeight) / 2;
-        const centerY = ch / 2;
-        // Compute target offset that aligns selectedIndex under centre line
-        // Center of selectedIndex segment should be at: y + selectedIndex * segHeight + segHeight / 2 + offset = centerY
-        // Therefore: offset = centerY - y - selectedIndex * segHeight - segHeight / 2
-        const finalOffset = centerY - y - selectedIndex * segHeight - segHeight / 2;
-        // Add several full rotations
-        const rotations = 3;
-        const targetOffset = finalOffset + rotations * wheelHeight;
-        const startOffset = currentOffset;
-        const distance = targetOffset - startOffset;
-        const duration = 4000;
-        const startTime = performance.now();
-        isSpinning = true;
-        function animate(now) {
-            const elapsed = now - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const easeOut = 1 - Math.pow(1 - progress, 3);
-            currentOffset = startOffset + distance * easeOut;
-            
-            // Check if we've crossed into a new segment and play tick sound
-            const currentIndex = getIndexAtCentre(currentItems, currentOffset);
-            if (currentIndex !== lastTickIndex && isSpinning) {
-                lastTickIndex = currentIndex;
-                playTickSound();
-            }
-            
-            drawWheelWithOffset(currentItems, currentOffset);
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                // Normalize currentOffset to stay within 0..wheelHeight
-                currentOffset = ((finalOffset % wheelHeight) + wheelHeight) % wheelHeight;
-                isSpinning = false;
-                lastTickIndex = -1; // Reset tick tracking
-                // Determine final selected index
-                const idx = getIndexAtCentre(currentItems, currentOffset);
-                selectedIndex = idx;
-                const selectedValue = currentItems[selectedIndex];
-                // Prepare celebratory content once
-                const resultContent = `🎉 <strong>${selectedValue}</strong> 🎉`;
-                // Show overlay with the selected value and keep it visible
-                overlayResult.innerHTML = resultContent;
-                overlayResult.style.animation = 'none';
-                overlayResult.offsetWidth; // force reflow to restart animation
-                overlayResult.style.display = 'block';
-                // Trigger appear animation
-                overlayResult.style.animation = 'overlayAppear 0.5s forwards';
-                // Remove selected item
-                currentItems.splice(selectedIndex, 1);
-                // Reset offset for next spin
-                currentOffset = 0;
-                if (currentItems.length > 0) {
-                    drawWheelWithOffset(currentItems, currentOffset);
-                } else {
-                    ctx.clearRect(0, 0, canvas.width, canvas.height);
-                    // Clear wheel state when no items remain
-                    clearWheelState();
-                }
-                
-                // Save the updated wheel state (with removed item)
-                saveWheelState();
-            }
+    }
+
+    function loadFairModePreference() {
+        if (localStorage.getItem('wheelGenerator_fairMode') === 'true') {
+            setFairMode(true);
         }
-        requestAnimationFrame(animate);
     }
 
     // Event listener for generate button
     generateBtn.addEventListener('click', () => {
         // Initialize audio context on user interaction
         initAudioContext();
-        
-        const items = getCurrentTags();
-        if (items.length === 0) {
-            alert('Please add at least one name or number to generate the wheel.');
-            return;
-        }
-        // Randomize the order of entries before displaying
-        shuffleArray(items);
-        currentItems = items;
-        // Keep a copy of the original (shuffled) list so we can reset later
-        originalItems = items.slice();
-        currentOffset = 0;
-        selectedIndex = null;
-        isSpinning = false;
-        lastTickIndex = -1; // Reset tick tracking
-        drawWheelWithOffset(currentItems, currentOffset);
-        
-        // Save the current wheel state
-        saveWheelState();
+        generateWheel();
     });
 
+    // Event listener for share button
+    shareBtn.addEventListener('click', shareWheel);
+
     // Event listener for spin button
-    spinBtn.addEventListener('click', spinWheel);
+    spinBtn.addEventListener('click', () => spinWheel());
 
     // Event listener for reset button
     resetBtn.addEventListener('click', () => {
-        if (originalItems.length === 0) {
+        // The running spin would pick from, and remove from, the reset wheel
+        if (originalItems.length === 0 || isSpinning) {
             return;
         }
-        
+
+        // Stop an elimination round or draw that is still in progress
+        cancelAutoSpin();
+
         // Hide any existing overlay result
         overlayResult.style.display = 'none';
-        
+
+        recordUndo('Reset the wheel');
         // Reset state to original
         currentItems = originalItems.slice();
         currentOffset = 0;
+        currentAngle = 0;
         selectedIndex = null;
         isSpinning = false;
-        drawWheelWithOffset(currentItems, currentOffset);
+        renderWheel();
         
         // Save the reset wheel state
         saveWheelState();
@@ -977,10 +6431,142 @@ document.addEventListener('DOMContentLoaded', () => {
             e.preventDefault();
             const value = tagInput.value.trim();
             if (value) {
-                addTag(value);
+                // A number range such as "1-100" adds one tag per number
+                if (parseNumberRange(parseTagText(value).name)) {
+                    parseAndAddTags(value);
+                } else {
+                    addTag(value);
+                }
                 tagInput.value = '';
             }
+        } else if (e.key === 'Backspace' && tagInput.value === '' && namesTags.length > 0) {
+            // Step back into the tags so the last one can be removed from the keyboard
+            e.preventDefault();
+            focusTagRemoveButton(namesTags.length - 1);
+        }
+    });
+
+    // Sit-out, edit and remove buttons of the tags
+    tagsDisplay.addEventListener('click', (e) => {
+        const removeButton = e.target.closest('.tag-remove');
+        const editButton = e.target.closest('.tag-edit');
+        const excludeButton = e.target.closest('.tag-exclude');
+        if (removeButton) {
+            removeTagAtIndex(Number(removeButton.dataset.index));
+        } else if (editButton) {
+            openTagEditor(Number(editButton.dataset.index));
+        } else if (excludeButton) {
+            const index = Number(excludeButton.dataset.index);
+            toggleTagExcluded(index);
+            // Keep focus on the toggle so several names can be marked in a row
+            const toggled = tagsDisplay.querySelector(`.tag-exclude[data-index="${index}"]`);
+            if (toggled) toggled.focus();
+        }
+    });
+
+    // Exclusion event listeners
+    everyoneBackBtn.addEventListener('click', bringEveryoneBack);
+    exclusionsExpireToggle.addEventListener('change', () => setExclusionsExpire(exclusionsExpireToggle.checked));
+
+    // Double-clicking a tag's name renames it in place
+    tagsDisplay.addEventListener('dblclick', (e) => {
+        const text = e.target.closest('.tag-text');
+        if (text) {
+            startTagRename(Number(text.closest('.tag').dataset.index));
+        }
+    });
+
+    // Delete or Backspace on a focused tag removes it; Alt+Left/Right moves it
+    tagsDisplay.addEventListener('keydown', (e) => {
+        const removeButton = e.target.closest('.tag-remove');
+        if (removeButton && (e.key === 'Delete' || e.key === 'Backspace')) {
+            e.preventDefault();
+            removeButton.click();
+            return;
+        }
+        const tagButton = e.target.closest('.tag-exclude, .tag-remove, .tag-edit');
+        if (tagButton && e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            e.preventDefault();
+            const index = Number(tagButton.dataset.index);
+            const newIndex = index + (e.key === 'ArrowLeft' ? -1 : 1);
+            moveTag(index, newIndex);
+            const selector = `.${tagButton.className}`;
+            const moved = tagsDisplay.querySelector(`${selector}[data-index="${Math.max(0, Math.min(newIndex, namesTags.length - 1))}"]`);
+            if (moved) moved.focus();
+        }
+    });
+
+    // Drag and drop tags to reorder them
+    tagsDisplay.addEventListener('dragstart', (e) => {
+        const tagElement = e.target.closest('.tag');
+        if (!tagElement) return;
+        draggedTagIndex = Number(tagElement.dataset.index);
+        tagElement.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', namesTags[draggedTagIndex].name);
+    });
+
+    tagsDisplay.addEventListener('dragover', (e) => {
+        const target = e.target.closest('.tag');
+        if (draggedTagIndex === null || !target) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        tagsDisplay.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        target.classList.add('drag-over');
+    });
+
+    tagsDisplay.addEventListener('drop', (e) => {
+        const target = e.target.closest('.tag');
+        if (draggedTagIndex === null || !target) return;
+        e.preventDefault();
+        const fromIndex = draggedTagIndex;
+        draggedTagIndex = null;
+        moveTag(fromIndex, Number(target.dataset.index));
+    });
+
+    tagsDisplay.addEventListener('dragend', () => {
+        draggedTagIndex = null;
+        tagsDisplay.querySelectorAll('.dragging, .drag-over').forEach(el => el.classList.remove('dragging', 'drag-over'));
+    });
+
+    // Tag editor event listeners
+    saveTagEditBtn.addEventListener('click', saveTagEditor);
+    cancelTagEditBtn.addEventListener('click', closeTagEditor);
+    tagEditor.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.matches('input[type="text"], input[type="number"]')) {
+            e.preventDefault();
+            saveTagEditor();
+        } else if (e.key === 'Escape') {
+            closeTagEditor();
+        }
+    });
+    tagEditColor.addEventListener('input', () => {
+        tagEditUseColor.checked = true;
+    });
+
+    // Page-wide keyboard shortcuts for spin, generate, reset and mute
+    document.addEventListener('keydown', handleShortcutKey);
+
+    // Undo and redo, from the keyboard or the toast
+    document.addEventListener('keydown', handleUndoKey);
+    undoToastBtn.addEventListener('click', () => {
+        const action = undoToastAction;
+        hideUndoToast();
+        if (action) action();
+    });
+
+    // Show the full name of the segment under the mouse, since long labels are shortened
+    canvas.addEventListener('mousemove', (e) => {
+        if (isSpinning) return;
+        if (isShowingTeams) {
+            canvas.title = '';
+            return;
         }
+        const rect = canvas.getBoundingClientRect();
+        const px = (e.clientX - rect.left) * canvas.width / rect.width;
+        const py = (e.clientY - rect.top) * canvas.height / rect.height;
+        const index = getIndexAtCanvasPoint(px, py);
+        canvas.title = index === -1 ? '' : currentItems[index].name;
     });
 
     // Handle paste events to add multiple tags
@@ -991,9 +6577,43 @@ document.addEventListener('DOMContentLoaded', () => {
         tagInput.value = '';
     });
 
-    // Click on container focuses the input
-    tagInputContainer.addEventListener('click', () => {
-        tagInput.focus();
+    // Name import event listeners
+    importNamesBtn.addEventListener('click', () => namesFileInput.click());
+
+    namesFileInput.addEventListener('change', () => {
+        const file = namesFileInput.files[0];
+        if (file) {
+            handleNamesImportFile(file);
+        }
+        namesFileInput.value = ''; // Allow picking the same file again
+    });
+
+    // Drop a CSV or text file on the names box to import it
+    tagInputContainer.addEventListener('dragover', (e) => {
+        if (draggedTagIndex === null && e.dataTransfer.types.includes('Files')) {
+            e.preventDefault();
+            tagInputContainer.classList.add('drag-over');
+        }
+    });
+    tagInputContainer.addEventListener('dragleave', (e) => {
+        if (!tagInputContainer.contains(e.relatedTarget)) {
+            tagInputContainer.classList.remove('drag-over');
+        }
+    });
+    tagInputContainer.addEventListener('drop', (e) => {
+        tagInputContainer.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            e.preventDefault();
+            handleNamesImportFile(file);
+        }
+    });
+
+    // Click on container focuses the input (tag buttons and renaming manage focus themselves)
+    tagInputContainer.addEventListener('click', (e) => {
+        if (!e.target.closest('.tag-exclude, .tag-remove, .tag-edit, .tag-rename-input')) {
+            tagInput.focus();
+        }
     });
 
     // Mute button event listener
@@ -1002,9 +6622,124 @@ document.addEventListener('DOMContentLoaded', () => {
     // Sound selection event listener
     soundSelect.addEventListener('change', onSoundChange);
 
+    // Sound pack event listeners
+    soundToggle.addEventListener('click', (e) => {
+        e.stopPropagation(); // The header handles the same toggle
+        toggleSound();
+    });
+    soundHeader.addEventListener('click', toggleSound);
+    soundPackSelect.addEventListener('change', () => applySoundPack(soundPackSelect.value));
+    saveSoundPackBtn.addEventListener('click', saveSoundPack);
+    deleteSoundPackBtn.addEventListener('click', deleteSoundPack);
+    [packTickSelect, packSpinStartSelect, packWinSelect].forEach(select => {
+        select.addEventListener('change', () => {
+            initAudioContext();
+            playSound(select.value);
+        });
+    });
+    previewSynthBtn.addEventListener('click', () => {
+        initAudioContext();
+        if (audioContext && !isMuted) {
+            playSynthSound(readSynthForm());
+        }
+    });
+    saveSynthBtn.addEventListener('click', saveSynthSound);
+    uploadSoundBtn.addEventListener('click', () => soundFileInput.click());
+    soundFileInput.addEventListener('change', () => {
+        const [file] = soundFileInput.files;
+        soundFileInput.value = ''; // Allow picking the same file again
+        if (file) {
+            uploadSoundSample(file);
+        }
+    });
+    customSoundList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-sound]');
+        if (!button) return;
+        if (button.dataset.action === 'delete') {
+            deleteCustomSound(button.dataset.sound);
+        } else {
+            initAudioContext();
+            playSound(button.dataset.sound);
+        }
+    });
+
+    // Spin mode selection event listener
+    modeSelect.addEventListener('change', () => setSpinMode(modeSelect.value));
+
+    // Multi-winner draw count event listener
+    drawCountInput.addEventListener('change', () => setDrawCount(drawCountInput.value));
+
+    // Wheel view selection event listener
+    viewSelect.addEventListener('change', () => setWheelView(viewSelect.value));
+
+    // Provably fair event listeners
+    fairModeToggle.addEventListener('change', () => setFairMode(fairModeToggle.checked));
+
+    // Physics spin event listeners
+    physicsToggle.addEventListener('change', () => setPhysicsSpin(physicsToggle.checked));
+    canvas.addEventListener('pointerdown', startWheelDrag);
+    canvas.addEventListener('pointermove', moveWheelDrag);
+    canvas.addEventListener('pointerup', endWheelDrag);
+    canvas.addEventListener('pointercancel', endWheelDrag);
+
+    // Spin settings event listeners
+    spinSettingsToggle.addEventListener('click', (e) => {
+        e.stopPropagation(); // The header handles the same toggle
+        toggleSpinSettings();
+    });
+    spinSettingsHeader.addEventListener('click', toggleSpinSettings);
+    spinDurationInput.addEventListener('input', () => setSpinDuration(spinDurationInput.value * 1000));
+    spinRotationsInput.addEventListener('input', () => setSpinRotations(spinRotationsInput.value));
+    spinEasingSelect.addEventListener('change', () => setSpinEasing(spinEasingSelect.value));
+    randomDurationToggle.addEventListener('change', () => setRandomDuration(randomDurationToggle.checked));
+
+    // Celebration event listeners
+    celebrationEffectSelect.addEventListener('change', () => setCelebrationEffect(celebrationEffectSelect.value));
+    fanfareToggle.addEventListener('change', () => setFanfareEnabled(fanfareToggle.checked));
+    resultTemplateInput.addEventListener('change', () => setResultTemplate(resultTemplateInput.value));
+    previewCelebrationBtn.addEventListener('click', () => {
+        initAudioContext();
+        const name = currentItems.length > 0 ? currentItems[0].name : 'Alex';
+        showResult(buildWinnerMessage(name, '🎉 {name} 🎉'));
+        celebrateWinner();
+    });
+    openVerifyBtn.addEventListener('click', () => {
+        verifyView.hidden = !verifyView.hidden;
+    });
+    runVerifyBtn.addEventListener('click', verifyFairSpin);
+
+    // Opening a shared link in an already open tab only changes the fragment
+    window.addEventListener('hashchange', loadWheelFromUrl);
+
     // Theme toggle event listener
     themeBtn.addEventListener('click', toggleTheme);
 
+    // Theme editor event listeners
+    buildThemeColorFields();
+    themeEditorBtn.addEventListener('click', () => {
+        if (themeEditor.hidden) {
+            openThemeEditor();
+        } else {
+            closeThemeEditor();
+        }
+    });
+    closeThemeEditorBtn.addEventListener('click', closeThemeEditor);
+    themeEditorSelect.addEventListener('change', () => fillThemeEditor(themeEditorSelect.value));
+    themeColorFields.addEventListener('input', previewThemeEditor);
+    // Switching the base resets the colours to that theme's defaults
+    themeBaseSelect.addEventListener('change', () => setThemeEditorColors(themeBaseSelect.value, {}));
+    saveThemeBtn.addEventListener('click', saveCustomTheme);
+    deleteThemeBtn.addEventListener('click', deleteCustomTheme);
+    exportThemeBtn.addEventListener('click', exportCustomTheme);
+    importThemeBtn.addEventListener('click', () => themeFileInput.click());
+    themeFileInput.addEventListener('change', () => {
+        const file = themeFileInput.files[0];
+        if (file) {
+            importCustomThemes(file);
+        }
+        themeFileInput.value = ''; // Allow picking the same file again
+    });
+
     // Group management event listeners
     saveGroupBtn.addEventListener('click', () => {
         const groupName = groupNameInput.value.trim();
@@ -1017,9 +6752,15 @@ document.addEventListener('DOMContentLoaded', () => {
             alert('Please add some names before saving a group');
             return;
         }
-        
+
+        if (getSavedGroups()[groupName] &&
+            !confirm(`A group named "${groupName}" already exists. Replace its names with the current ones?`)) {
+            return;
+        }
+
         const success = saveGroup(groupName, namesTags);
         if (success) {
+            setActiveGroup(groupName);
             groupNameInput.value = '';
             updateGroupSelect();
             alert(`Group "${groupName}" saved successfully!`);
@@ -1033,12 +6774,19 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
+        if (isSpinning) {
+            alert('Please wait for the wheel to stop before loading a group');
+            return;
+        }
+
         const groupNames = loadGroup(selectedGroup);
         if (groupNames) {
+            recordUndo(`Loaded group "${selectedGroup}"`, true);
             // Clear current tags and add the loaded ones
             namesTags = [...groupNames];
             renderTags();
             saveTagsToStorage();
+            setActiveGroup(selectedGroup);
             
             // Clear and regenerate the wheel
             currentItems = [];
@@ -1060,6 +6808,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         if (confirm(`Are you sure you want to delete the group "${selectedGroup}"?`)) {
+            recordUndo(`Deleted group "${selectedGroup}"`, true);
             deleteGroup(selectedGroup);
             updateGroupSelect();
             alert(`Group "${selectedGroup}" deleted successfully!`);
@@ -1068,6 +6817,170 @@ document.addEventListener('DOMContentLoaded', () => {
 
     groupSelect.addEventListener('change', updateGroupButtonStates);
 
+    groupMergeList.addEventListener('change', updateGroupButtonStates);
+
+    mergeGroupsBtn.addEventListener('click', () => {
+        const selectedGroups = getCheckedMergeGroups();
+        if (selectedGroups.length < 2) {
+            alert('Please tick at least two groups to merge');
+            return;
+        }
+        if (isSpinning) {
+            alert('Please wait for the wheel to stop before merging groups');
+            return;
+        }
+
+        recordUndo(`Merged ${selectedGroups.length} groups`, true);
+        const mergedTags = mergeGroups(selectedGroups);
+        namesTags = mergedTags;
+        renderTags();
+        saveTagsToStorage();
+        setActiveGroup(selectedGroups.join(' + '));
+
+        // Clear and regenerate the wheel
+        currentItems = [];
+        originalItems = [];
+        clearWheelState();
+        generateWheel();
+
+        alert(`Merged ${selectedGroups.length} groups into ${mergedTags.length} unique names!`);
+    });
+
+    colorByGroupToggle.addEventListener('change', () => setColorByGroup(colorByGroupToggle.checked));
+
+    updateGroupBtn.addEventListener('click', () => {
+        const selectedGroup = groupSelect.value;
+        if (!selectedGroup) {
+            alert('Please select a group to update');
+            return;
+        }
+
+        if (namesTags.length === 0) {
+            alert('Please add some names before updating a group');
+            return;
+        }
+
+        if (confirm(`Replace the names in "${selectedGroup}" with the current ${namesTags.length} name(s)?`)) {
+            recordUndo(`Updated group "${selectedGroup}"`, true);
+            updateGroup(selectedGroup, namesTags);
+            setActiveGroup(selectedGroup);
+            updateGroupSelect();
+            alert(`Group "${selectedGroup}" updated successfully!`);
+        }
+    });
+
+    renameGroupBtn.addEventListener('click', () => {
+        const selectedGroup = groupSelect.value;
+        if (!selectedGroup) {
+            alert('Please select a group to rename');
+            return;
+        }
+
+        const input = prompt(`Rename "${selectedGroup}" to:`, selectedGroup);
+        const newName = input ? input.trim().slice(0, 30) : '';
+        if (!newName || newName === selectedGroup) {
+            return;
+        }
+
+        if (renameGroup(selectedGroup, newName)) {
+            updateGroupSelect();
+            groupSelect.value = newName;
+            updateGroupButtonStates();
+        } else {
+            alert(`A group named "${newName}" already exists`);
+        }
+    });
+
+    duplicateGroupBtn.addEventListener('click', () => {
+        const selectedGroup = groupSelect.value;
+        if (!selectedGroup) {
+            alert('Please select a group to duplicate');
+            return;
+        }
+
+        const input = prompt(`Name for the copy of "${selectedGroup}":`, `${selectedGroup} (copy)`.slice(0, 30));
+        const newName = input ? input.trim().slice(0, 30) : '';
+        if (!newName) {
+            return;
+        }
+
+        if (duplicateGroup(selectedGroup, newName)) {
+            updateGroupSelect();
+            groupSelect.value = newName;
+            updateGroupButtonStates();
+        } else {
+            alert(`A group named "${newName}" already exists`);
+        }
+    });
+
+    // Edit members of the selected group without loading it
+    groupMembers.addEventListener('click', (e) => {
+        const excludeButton = e.target.closest('.tag-exclude');
+        if (excludeButton) {
+            toggleGroupMemberExcluded(groupSelect.value, Number(excludeButton.dataset.index));
+            updateGroupSelect();
+            return;
+        }
+
+        const removeButton = e.target.closest('.tag-remove');
+        if (!removeButton) return;
+
+        if (removeGroupMember(groupSelect.value, Number(removeButton.dataset.index))) {
+            updateGroupSelect();
+        } else {
+            alert('A group needs at least one name. Delete the group instead.');
+        }
+    });
+
+    groupMemberInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            if (addGroupMember(groupSelect.value, groupMemberInput.value)) {
+                groupMemberInput.value = '';
+                updateGroupSelect();
+            }
+        }
+    });
+
+    // Group import/export event listeners
+    exportGroupsBtn.addEventListener('click', () => {
+        const groupNames = getGroupsToExport();
+        if (groupNames.length === 0) {
+            alert('There are no saved groups to export');
+            return;
+        }
+        exportGroups(groupNames, groupExportFormat.value);
+    });
+
+    importGroupsBtn.addEventListener('click', () => groupFileInput.click());
+
+    groupFileInput.addEventListener('change', () => {
+        const file = groupFileInput.files[0];
+        if (file) {
+            handleGroupImportFile(file);
+        }
+        groupFileInput.value = ''; // Allow picking the same file again
+    });
+
+    // Drag-and-drop a group file anywhere on the group management section
+    groupManagement.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        groupManagement.classList.add('drag-over');
+    });
+    groupManagement.addEventListener('dragleave', (e) => {
+        if (!groupManagement.contains(e.relatedTarget)) {
+            groupManagement.classList.remove('drag-over');
+        }
+    });
+    groupManagement.addEventListener('drop', (e) => {
+        e.preventDefault();
+        groupManagement.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            handleGroupImportFile(file);
+        }
+    });
+
     // Group management toggle event listeners
     groupToggle.addEventListener('click', toggleGroupManagement);
     groupHeader.addEventListener('click', toggleGroupManagement);
@@ -1075,10 +6988,60 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize group management
     updateGroupSelect();
 
+    // Spin history event listeners
+    historyToggle.addEventListener('click', (e) => {
+        e.stopPropagation(); // The header handles the same toggle
+        toggleHistory();
+    });
+    historyHeader.addEventListener('click', toggleHistory);
+    historyScopeSelect.addEventListener('change', renderHistory);
+    exportHistoryCsvBtn.addEventListener('click', exportHistoryCsv);
+    exportHistoryJsonBtn.addEventListener('click', exportHistoryJson);
+    clearHistoryBtn.addEventListener('click', () => {
+        if (confirm('Are you sure you want to delete the entire spin history?')) {
+            localStorage.removeItem(STORAGE_KEYS.SPIN_HISTORY);
+            renderHistory();
+        }
+    });
+
+    // Initialize spin history
+    renderHistory();
+
+    // Fairness rotation event listeners
+    rotationToggle.addEventListener('click', (e) => {
+        e.stopPropagation(); // The header handles the same toggle
+        toggleRotation();
+    });
+    rotationHeader.addEventListener('click', toggleRotation);
+    rotationModeSelect.addEventListener('change', () => setRotationMode(rotationModeSelect.value));
+    rotationCooldownInput.addEventListener('change', () => setRotationCooldown(rotationCooldownInput.value));
+    resetRotationBtn.addEventListener('click', resetRotation);
+
+    // Team generator event listeners
+    teamToggle.addEventListener('click', (e) => {
+        e.stopPropagation(); // The header handles the same toggle
+        toggleTeams();
+    });
+    teamHeader.addEventListener('click', toggleTeams);
+    teamSplitMode.addEventListener('change', () => {
+        teamSplitValue.disabled = teamSplitMode.value === 'pairs';
+        saveTeamSettings();
+    });
+    [teamSplitValue, keepTogetherInput, keepApartInput].forEach(input => {
+        input.addEventListener('change', saveTeamSettings);
+    });
+    makeTeamsBtn.addEventListener('click', generateTeams);
+    copyTeamsBtn.addEventListener('click', copyTeams);
+    exportTeamsBtn.addEventListener('click', exportTeamsCsv);
+
     // Clear Names button event listener
     const clearNamesBtn = document.getElementById('clearNamesBtn');
     clearNamesBtn.addEventListener('click', () => {
+        if (namesTags.length > 0) {
+            recordUndo('Cleared all names', true);
+        }
         namesTags = [];
+        setActiveGroup('');
         renderTags();
         saveTagsToStorage();
     });
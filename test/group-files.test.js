@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, wait } = require('./helpers/load-app');
+
+/**
+ * Clicks Export and returns the text of the file the app downloads
+ * @param {Window} window
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string}
+ */
+function captureGroupExport(window, format) {
+    let content = null;
+    window.Blob = class {
+        constructor(parts) {
+            content = parts.join('');
+        }
+    };
+    window.URL.createObjectURL = () => 'blob:export';
+    window.URL.revokeObjectURL = () => {};
+    window.HTMLAnchorElement.prototype.click = () => {};
+
+    window.document.getElementById('groupExportFormat').value = format;
+    window.document.getElementById('exportGroupsBtn').click();
+    return content;
+}
+
+/**
+ * Drops a file onto the group management panel
+ * @param {Window} window
+ * @param {string} name
+ * @param {string} text
+ */
+async function dropGroupFile(window, name, text) {
+    const drop = new window.Event('drop', { bubbles: true, cancelable: true });
+    drop.dataTransfer = { files: [{ name, text: async () => text }] };
+    window.document.getElementById('group-management').dispatchEvent(drop);
+    await wait(0);
+}
+
+const TEAM = {
+    names: [
+        { name: 'Ada', weight: 1 },
+        { name: 'Smith, Grace', weight: 2, color: '#ff0000', emoji: '🚀' },
+        { name: 'Linus', weight: 1, disabled: true, excludedOn: '2099-01-01' }
+    ],
+    dateCreated: '2024-01-02T10:00:00.000Z',
+    dateModified: '2024-05-06T10:00:00.000Z'
+};
+
+test('groups exported as CSV import with the same details as JSON', async () => {
+    const sender = await loadApp({
+        storage: { wheelGenerator_savedGroups: JSON.stringify({ Team: TEAM }) }
+    });
+    const csv = captureGroupExport(sender.window, 'csv');
+    assert.ok(csv, 'a CSV file was downloaded');
+
+    const { window, errors } = await loadApp();
+    await dropGroupFile(window, 'groups.csv', csv);
+
+    const saved = JSON.parse(window.localStorage.getItem('wheelGenerator_savedGroups'));
+    assert.deepEqual(saved, { Team: TEAM });
+    assert.deepEqual(errors, []);
+});
+
+test('merging an imported group keeps the earlier creation date across time zones', async () => {
+    const existing = { ...TEAM, dateCreated: '2024-03-01T00:00:00.000Z' };
+    const { window } = await loadApp({
+        storage: { wheelGenerator_savedGroups: JSON.stringify({ Team: existing }) }
+    });
+
+    // Sorts before the saved date as text, but is four hours after it
+    const file = JSON.stringify({ Team: { names: ['Edsger'], dateCreated: '2024-02-29T23:00:00-05:00' } });
+    await dropGroupFile(window, 'groups.json', file);
+
+    const saved = JSON.parse(window.localStorage.getItem('wheelGenerator_savedGroups'));
+    assert.equal(saved.Team.dateCreated, '2024-03-01T00:00:00.000Z');
+    assert.ok(saved.Team.names.some(tag => tag.name === 'Edsger'));
+});
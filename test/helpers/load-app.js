@@ -0,0 +1,96 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+    .replace(/<script[^>]*src="script.js"[^>]*><\/script>/, '');
+const SCRIPT = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+
+/**
+ * A 2D context that accepts every drawing call, since jsdom has no canvas
+ * @returns {Object}
+ */
+function createContextStub() {
+    return new Proxy({}, {
+        get(target, property) {
+            if (property in target) return target[property];
+            if (property === 'measureText') return text => ({ width: String(text).length * 8 });
+            if (property === 'getImageData') return () => ({ data: new Uint8ClampedArray(4) });
+            if (/^create.*(Gradient|Pattern)$/.test(property)) return () => ({ addColorStop() {} });
+            return () => {};
+        },
+        set(target, property, value) {
+            target[property] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * Loads index.html and script.js into jsdom and waits until the app is ready
+ * @param {Object} options
+ * @param {string} options.hash - URL fragment to open, e.g. a share link
+ * @param {Object} options.storage - localStorage entries to set before loading
+ * @returns {Promise<{window: Window, document: Document, errors: string[], alerts: string[]}>}
+ */
+async function loadApp({ hash = '', storage = {} } = {}) {
+    const errors = [];
+    const alerts = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', e => errors.push(e.message));
+
+    const dom = new JSDOM(HTML, {
+        url: `https://wheel.test/${hash}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        if (!this.stubContext) this.stubContext = createContextStub();
+        return this.stubContext;
+    };
+    window.HTMLElement.prototype.setPointerCapture = () => {};
+    window.HTMLElement.prototype.releasePointerCapture = () => {};
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {}, addListener() {} });
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    window.alert = message => alerts.push(String(message));
+    window.confirm = () => true;
+    window.prompt = () => null;
+    window.addEventListener('error', e => errors.push(e.message));
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    window.eval(SCRIPT);
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    } else {
+        window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    }
+    await wait(0);
+    return { window, document: window.document, errors, alerts };
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Types a name into the tag input and presses Enter
+ * @param {Window} window
+ * @param {string} text
+ */
+async function typeTag(window, text) {
+    const input = window.document.getElementById('tag-input');
+    input.value = text;
+    input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+    // Undo steps are grouped per task, so let each action finish first
+    await wait(0);
+}
+
+module.exports = { loadApp, typeTag, wait };
@@ -0,0 +1,197 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, typeTag, wait } = require('./helpers/load-app');
+
+// Names that would run script or add elements if rendered as markup
+const HOSTILE_NAMES = [
+    '<img src=x onerror="window.pwned=1">',
+    '<svg onload="window.pwned=1"></svg>',
+    '"><b class="injected">x</b>',
+    'Tom "Tommy" O\'Brien & <i>co</i>'
+];
+
+const INJECTED_SELECTOR = 'img, svg, script, .injected, i, [onerror], [onload]';
+
+/**
+ * Fails if any hostile name turned into elements or ran script
+ * @param {Window} window
+ * @param {number} baseline - Matching elements on the page before names were shown
+ */
+function assertNothingInjected(window, baseline) {
+    assert.equal(window.document.querySelectorAll(INJECTED_SELECTOR).length, baseline);
+    assert.equal(window.pwned, undefined);
+}
+
+/**
+ * Checks that every hostile name shows up as literal text in an element
+ * @param {Element} element
+ */
+function assertShownAsText(element) {
+    HOSTILE_NAMES.forEach(name => assert.ok(element.textContent.includes(name), `${name} is shown as text`));
+}
+
+/**
+ * @param {Window} window
+ * @returns {number}
+ */
+function countInjectable(window) {
+    return window.document.querySelectorAll(INJECTED_SELECTOR).length;
+}
+
+test('typed names render as text in tag chips and tooltips', async () => {
+    const { window, document, errors } = await loadApp();
+    const baseline = countInjectable(window);
+
+    for (const name of HOSTILE_NAMES) {
+        await typeTag(window, name);
+    }
+
+    const tagsDisplay = document.getElementById('tags-display');
+    assertShownAsText(tagsDisplay);
+    const titles = Array.from(tagsDisplay.querySelectorAll('[title]'), element => element.title);
+    assert.ok(titles.some(title => title.includes(HOSTILE_NAMES[3])), 'quotes survive in titles');
+    assertNothingInjected(window, baseline);
+    assert.deepEqual(errors, []);
+});
+
+test('pasted and imported names render as text', async () => {
+    const { window, document, errors } = await loadApp();
+    const baseline = countInjectable(window);
+
+    // A leading quote starts a quoted field on import, so that name is left out here
+    const importedNames = HOSTILE_NAMES.filter(name => !name.startsWith('"'));
+    const paste = new window.Event('paste', { bubbles: true, cancelable: true });
+    paste.clipboardData = { getData: () => importedNames.slice(0, 2).join('\n') };
+    document.getElementById('tag-input').dispatchEvent(paste);
+    await wait(0);
+
+    const drop = new window.Event('drop', { bubbles: true, cancelable: true });
+    const fileText = importedNames.slice(2).join('\n');
+    drop.dataTransfer = { files: [{ name: 'names.txt', text: async () => fileText }] };
+    document.getElementById('tag-input-container').dispatchEvent(drop);
+    await wait(0);
+
+    const tagsText = document.getElementById('tags-display').textContent;
+    importedNames.forEach(name => assert.ok(tagsText.includes(name), `${name} is shown as text`));
+    assertNothingInjected(window, baseline);
+    assert.deepEqual(errors, []);
+});
+
+test('spin history renders saved hostile names as text', async () => {
+    const history = HOSTILE_NAMES.map((name, index) => ({
+        timestamp: new Date(2024, 0, index + 1).toISOString(),
+        sessionId: 'earlier',
+        winner: name,
+        groupName: name,
+        remaining: HOSTILE_NAMES
+    }));
+    const { window, document, errors } = await loadApp({
+        storage: { wheelGenerator_spinHistory: JSON.stringify(history) }
+    });
+    const baseline = countInjectable(window);
+
+    const scope = document.getElementById('historyScopeSelect');
+    scope.value = 'all';
+    scope.dispatchEvent(new window.Event('change'));
+
+    const historyList = document.getElementById('history-list');
+    assertShownAsText(historyList);
+    const meta = historyList.querySelector('.history-meta');
+    assert.equal(meta.title, HOSTILE_NAMES.join(', '));
+    assertNothingInjected(window, baseline);
+    assert.deepEqual(errors, []);
+});
+
+test('saved groups render hostile group and member names as text', async () => {
+    const now = new Date().toISOString();
+    const groups = {
+        [HOSTILE_NAMES[0]]: {
+            names: HOSTILE_NAMES.map(name => ({ name, weight: 1 })),
+            dateCreated: now,
+            dateModified: now
+        }
+    };
+    const { window, document, errors } = await loadApp({
+        storage: { wheelGenerator_savedGroups: JSON.stringify(groups) }
+    });
+    const baseline = countInjectable(window);
+
+    const groupSelect = document.getElementById('groupSelect');
+    groupSelect.value = HOSTILE_NAMES[0];
+    groupSelect.dispatchEvent(new window.Event('change'));
+
+    assert.ok(groupSelect.textContent.includes(HOSTILE_NAMES[0]));
+    assert.ok(document.getElementById('group-merge-list').textContent.includes(HOSTILE_NAMES[0]));
+    assertShownAsText(document.getElementById('group-members'));
+    assertShownAsText(document.getElementById('group-preview'));
+    assertNothingInjected(window, baseline);
+    assert.deepEqual(errors, []);
+});
+
+test('imported group files render hostile names as text', async () => {
+    const { window, document, alerts, errors } = await loadApp();
+    const baseline = countInjectable(window);
+
+    const file = JSON.stringify({
+        format: 'wheelGenerator.groups',
+        version: 1,
+        groups: { [HOSTILE_NAMES[1]]: { names: HOSTILE_NAMES } }
+    });
+    const drop = new window.Event('drop', { bubbles: true, cancelable: true });
+    drop.dataTransfer = { files: [{ name: 'groups.json', text: async () => file }] };
+    document.getElementById('group-management').dispatchEvent(drop);
+    await wait(0);
+
+    assert.match(alerts.join('\n'), /Imported 1 new group/);
+    const groupSelect = document.getElementById('groupSelect');
+    groupSelect.value = HOSTILE_NAMES[1];
+    groupSelect.dispatchEvent(new window.Event('change'));
+    assertShownAsText(document.getElementById('group-members'));
+    assertNothingInjected(window, baseline);
+    assert.deepEqual(errors, []);
+});
+
+test('share links carry hostile names back as text', async () => {
+    const sender = await loadApp();
+    for (const name of HOSTILE_NAMES) {
+        await typeTag(sender.window, name);
+    }
+    let shareUrl = null;
+    sender.window.prompt = (message, url) => {
+        shareUrl = url;
+        return null;
+    };
+    sender.document.getElementById('shareBtn').click();
+    await wait(0);
+    assert.ok(shareUrl, 'a share link was offered');
+
+    const blank = await loadApp();
+    const baseline = countInjectable(blank.window);
+    const { window, document, errors } = await loadApp({ hash: new URL(shareUrl).hash });
+    assertShownAsText(document.getElementById('tags-display'));
+    assertNothingInjected(window, baseline);
+    assert.deepEqual(errors, []);
+});
+
+test('wheel description and result overlay show hostile winners as text', async () => {
+    const { window, document, errors } = await loadApp({
+        storage: { wheelGenerator_spinDuration: '1000' }
+    });
+    const baseline = countInjectable(window);
+    for (const name of HOSTILE_NAMES) {
+        await typeTag(window, name);
+    }
+    const modeSelect = document.getElementById('modeSelect');
+    modeSelect.value = 'keep';
+    modeSelect.dispatchEvent(new window.Event('change'));
+    document.getElementById('generateBtn').click();
+    await wait(0);
+    assertShownAsText(document.getElementById('wheel-description'));
+
+    document.getElementById('spinBtn').click();
+    await wait(1500);
+    const overlay = document.getElementById('overlayResult');
+    assert.ok(HOSTILE_NAMES.some(name => overlay.textContent.includes(name)), 'the winner is shown as text');
+    assertNothingInjected(window, baseline);
+    assert.deepEqual(errors, []);
+});
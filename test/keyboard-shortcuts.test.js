@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, typeTag, wait } = require('./helpers/load-app');
+
+/**
+ * Presses a page-wide shortcut key
+ * @param {Window} window
+ * @param {string} key
+ */
+function pressKey(window, key) {
+    window.document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+/**
+ * @param {Window} window
+ * @param {string} key - localStorage key holding a JSON array
+ * @returns {Array}
+ */
+function readList(window, key) {
+    return JSON.parse(window.localStorage.getItem(key) || '[]');
+}
+
+test('reset, generate and spin shortcuts wait for the running spin', async () => {
+    const { window, errors } = await loadApp({
+        storage: { wheelGenerator_spinDuration: '1000' }
+    });
+    for (const name of ['Ann', 'Bo', 'Cy']) {
+        await typeTag(window, name);
+    }
+    pressKey(window, 'g');
+    await wait(0);
+    const wheel = readList(window, 'wheelGenerator_currentItems').map(item => item.name);
+
+    pressKey(window, 's');
+    await wait(200);
+    pressKey(window, 'r');
+    pressKey(window, 'g');
+    pressKey(window, 's');
+    await wait(1500);
+
+    const history = readList(window, 'wheelGenerator_spinHistory');
+    assert.equal(history.length, 1, 'only the first spin was recorded');
+    const left = readList(window, 'wheelGenerator_currentItems').map(item => item.name);
+    assert.deepEqual(left, wheel.filter(name => name !== history[0].winner));
+    assert.deepEqual(history[0].remaining, left);
+    assert.deepEqual(errors, []);
+});
+
+test('reset and generate work again once the spin has stopped', async () => {
+    const { window } = await loadApp({
+        storage: { wheelGenerator_spinDuration: '1000' }
+    });
+    for (const name of ['Ann', 'Bo', 'Cy']) {
+        await typeTag(window, name);
+    }
+    pressKey(window, 'g');
+    await wait(0);
+    pressKey(window, 's');
+    await wait(1500);
+    assert.equal(readList(window, 'wheelGenerator_currentItems').length, 2);
+
+    pressKey(window, 'r');
+    await wait(0);
+    assert.equal(readList(window, 'wheelGenerator_currentItems').length, 3);
+});
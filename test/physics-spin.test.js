@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+/**
+ * Changes a form control the way a user would
+ * @param {Window} window
+ * @param {string} id
+ * @param {string|boolean} value
+ */
+function setControl(window, id, value) {
+    const control = window.document.getElementById(id);
+    if (typeof value === 'boolean') {
+        control.checked = value;
+    } else {
+        control.value = value;
+    }
+    control.dispatchEvent(new window.Event('change'));
+}
+
+test('drag to spin is shown as unavailable while the rotation decides the odds', async () => {
+    const { window, document } = await loadApp();
+    const canvas = document.querySelector('canvas');
+    const note = document.getElementById('physicsNote');
+
+    setControl(window, 'physicsToggle', true);
+    assert.ok(canvas.classList.contains('physics'));
+    assert.equal(note.hidden, true);
+
+    setControl(window, 'rotationModeSelect', 'skip');
+    assert.equal(document.getElementById('physicsToggle').disabled, true);
+    assert.equal(note.hidden, false);
+    assert.match(note.textContent, /off while/);
+    assert.equal(canvas.classList.contains('physics'), false);
+
+    setControl(window, 'rotationModeSelect', 'off');
+    assert.equal(document.getElementById('physicsToggle').disabled, false);
+    assert.equal(note.hidden, true);
+    assert.ok(canvas.classList.contains('physics'));
+});
+
+test('drag to spin is shown as unavailable while provably fair spins are on', async () => {
+    const { window, document } = await loadApp({
+        storage: { wheelGenerator_physicsSpin: 'true', wheelGenerator_fairMode: 'true' }
+    });
+
+    assert.equal(document.getElementById('physicsToggle').disabled, true);
+    assert.equal(document.getElementById('physicsToggle').checked, true);
+    assert.match(document.getElementById('physicsNote').textContent, /provably fair/);
+    assert.equal(document.querySelector('canvas').classList.contains('physics'), false);
+});
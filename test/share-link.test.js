@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, wait } = require('./helpers/load-app');
+
+/**
+ * Encodes a payload the way share links do
+ * @param {Object} payload
+ * @returns {string}
+ */
+function shareHash(payload) {
+    return `#wheel=${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+}
+
+/**
+ * Clicks Share and returns the link the app offers to copy
+ * @param {Window} window
+ * @returns {Promise<string>}
+ */
+async function captureShareUrl(window) {
+    let shareUrl = null;
+    window.prompt = (message, url) => {
+        shareUrl = url;
+        return null;
+    };
+    window.document.getElementById('shareBtn').click();
+    await wait(0);
+    return shareUrl;
+}
+
+test('share links keep colours, emoji and names sitting out', async () => {
+    const tags = [
+        { name: 'Ada', weight: 1 },
+        { name: 'Grace', weight: 2, color: '#ff0000', emoji: '🚀' },
+        { name: 'Linus', weight: 1, disabled: true, excludedOn: '2099-01-01' }
+    ];
+    const sender = await loadApp({ storage: { wheelGenerator_tagsList: JSON.stringify(tags) } });
+    const shareUrl = await captureShareUrl(sender.window);
+    assert.ok(shareUrl, 'a share link was offered');
+
+    const { window } = await loadApp({ hash: new URL(shareUrl).hash });
+    const received = JSON.parse(window.localStorage.getItem('wheelGenerator_tagsList'));
+    assert.deepEqual(received, tags);
+});
+
+test('share links made before names carried details still load', async () => {
+    const hash = shareHash({ v: 1, t: ['Ada', ['Grace', 3]], m: 'keep' });
+    const { window, errors } = await loadApp({ hash });
+
+    const received = JSON.parse(window.localStorage.getItem('wheelGenerator_tagsList'));
+    assert.deepEqual(received, [{ name: 'Ada', weight: 1 }, { name: 'Grace', weight: 3 }]);
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, typeTag } = require('./helpers/load-app');
+
+/**
+ * Loads the app with the given names and team rules typed in
+ * @param {string[]} names
+ * @param {{together: string, apart: string}} rules
+ * @returns {Promise<Object>}
+ */
+async function loadWithRules(names, { together = '', apart = '' }) {
+    const app = await loadApp();
+    for (const name of names) {
+        await typeTag(app.window, name);
+    }
+    app.document.getElementById('keepTogetherInput').value = together;
+    app.document.getElementById('keepApartInput').value = apart;
+    return app;
+}
+
+/**
+ * Reads the teams listed below the generator
+ * @param {Document} document
+ * @returns {string[]} - One line of text per team
+ */
+function readTeams(document) {
+    return Array.from(document.querySelectorAll('#team-results .team-entry'), item => item.textContent);
+}
+
+test('rules that keep the same people together and apart are reported', async () => {
+    const { document, alerts } = await loadWithRules(['Ann', 'Bo', 'Cy', 'Di'], {
+        together: 'Ann, Bo\nBo, Cy',
+        apart: 'Cy, Ann'
+    });
+
+    document.getElementById('makeTeamsBtn').click();
+
+    assert.equal(alerts.length, 1);
+    assert.match(alerts[0], /kept together and kept apart/);
+    assert.match(alerts[0], /Ann/);
+    assert.match(alerts[0], /Cy/);
+    assert.deepEqual(readTeams(document), []);
+});
+
+test('quoted names may contain commas', async () => {
+    const { document, alerts } = await loadWithRules(['Smith, Jo', 'Ann', 'Bo', 'Cy'], {
+        together: '"Smith, Jo", Ann'
+    });
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+        document.getElementById('makeTeamsBtn').click();
+        const teamWithJo = readTeams(document).find(team => team.includes('Smith, Jo'));
+        assert.ok(teamWithJo.includes('Ann'), `Ann is with Smith, Jo in: ${teamWithJo}`);
+    }
+    assert.deepEqual(alerts, []);
+});